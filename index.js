@@ -7,7 +7,10 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import jwt from 'jsonwebtoken';
+import { getJwtSecret } from './utils/tokens.js';
+import User from './models/User.js';
+import { applyDueTransfers } from './utils/enrollment.js';
+import { errorCodes, errorHandler, notFoundHandler } from './middleware/errors.js';
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +22,16 @@ import studentRoutes from './routes/students.js';
 import testResultRoutes from './routes/testResults.js';
 import achievementRoutes from './routes/achievements.js';
 import graduateRoutes from './routes/graduates.js';
+import authRoutes from './routes/auth.js';
+import userRoutes from './routes/users.js';
+import auditLogRoutes from './routes/auditLogs.js';
+import publicRoutes from './routes/public.js';
+import parentRoutes from './routes/parent.js';
+import lessonRoutes from './routes/lessons.js';
+import timetableRoutes from './routes/timetable.js';
+import feeRoutes from './routes/fees.js';
+import discountRoutes from './routes/discounts.js';
+import paymentRoutes from './routes/payments.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -50,6 +63,8 @@ const connectDB = async () => {
     
     console.log('MongoDB connected successfully');
     console.log('Database name:', mongoose.connection.db.databaseName);
+
+    await User.ensureInitialAdmin();
   } catch (error) {
     console.error('MongoDB connection error:', error.message);
     
@@ -61,6 +76,7 @@ const connectDB = async () => {
           serverSelectionTimeoutMS: 5000
         });
         console.log('Connected to local MongoDB');
+        await User.ensureInitialAdmin();
         return;
       } catch (localError) {
         console.log('Local MongoDB also not available');
@@ -92,6 +108,19 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Behind a reverse proxy req.ip is the proxy's address, so the per-IP rate limiters
+// would count every client together. TRUST_PROXY is passed to Express's 'trust proxy'
+// setting: a number of proxy hops, true/false, or a comma-separated list of addresses
+// and subnets such as "loopback,10.0.0.0/8". Unset means no proxy is trusted.
+const trustProxySetting = (value = '') => {
+  const setting = value.trim();
+  if (setting === '' || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return Number(setting);
+  return setting.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -100,45 +129,30 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(morgan('combined'));
+app.use(errorCodes);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static files for uploaded images
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
-// Simple JWT auth middleware for admin-only routes
-const authMiddleware = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  if (!token) return res.status(401).json({ message: 'No token provided' });
-  try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET || 'dev_secret');
-    req.user = payload;
-    next();
-  } catch (err) {
-    return res.status(401).json({ message: 'Invalid token' });
-  }
-};
-
-// Auth route: POST /api/auth/login
-app.post('/api/auth/login', (req, res) => {
-  const { username, password } = req.body || {};
-  const ADMIN_USER = process.env.ADMIN_USER || 'admin';
-  const ADMIN_PASS = process.env.ADMIN_PASS || 'admin';
-  if (username === ADMIN_USER && password === ADMIN_PASS) {
-    const token = jwt.sign({ role: 'admin', username: ADMIN_USER }, process.env.JWT_SECRET || 'dev_secret', { expiresIn: '7d' });
-    return res.json({ token });
-  }
-  return res.status(401).json({ message: 'Invalid credentials' });
-});
-
 // Routes
+app.use('/api/public', publicRoutes);
+app.use('/api/parent', parentRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/audit-logs', auditLogRoutes);
 app.use('/api/subjects', subjectRoutes);
+app.use('/api/groups/:groupId/lessons', lessonRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/students', studentRoutes);
 app.use('/api/test-results', testResultRoutes);
 app.use('/api/achievements', achievementRoutes);
 app.use('/api/graduates', graduateRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/discounts', discountRoutes);
+app.use('/api/payments', paymentRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -161,22 +175,31 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// 404 handler
+app.use(notFoundHandler);
+
 // Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    message: 'Something went wrong!', 
-    error: process.env.NODE_ENV === 'production' ? {} : err.stack 
-  });
-});
+app.use(errorHandler);
 
-// 404 handler
-app.use((req, res) => {
-  res.status(404).json({ message: 'Route not found' });
-});
+// Transfers dated in the future move the student's primary group once their date
+// has come. Checked at startup and then periodically while the database is up.
+const TRANSFER_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const applyPendingTransfers = async () => {
+  if (mongoose.connection.readyState !== 1) return;
+  try {
+    const applied = await applyDueTransfers();
+    if (applied > 0) console.log(`Applied ${applied} pending transfer(s)`);
+  } catch (error) {
+    console.error('Error applying pending transfers:', error.message);
+  }
+};
 
 // Start server
 const startServer = async () => {
+  // Fail fast when the token secret is missing in production
+  getJwtSecret();
+
   // Start the server first
   const server = app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
@@ -184,6 +207,9 @@ const startServer = async () => {
   
   // Then try to connect to database
   await connectDB();
+
+  await applyPendingTransfers();
+  setInterval(applyPendingTransfers, TRANSFER_SWEEP_INTERVAL_MS).unref();
   
   return server;
 };
@@ -0,0 +1,100 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Student from '../models/Student.js';
+import { getJwtSecret, isAccessTokenRevoked } from '../utils/tokens.js';
+import { sendError } from '../utils/errors.js';
+
+// Roles allowed to change data, most privileged first
+export const ROLES = ['admin', 'teacher', 'staff'];
+
+const getToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  return authHeader && authHeader.split(' ')[1];
+};
+
+// Verifies the signature, then checks the revocation list.
+// Sends the error response itself and resolves to null when the token is rejected.
+const verifyRequestToken = async (token, res) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    res.status(401).json({ message: 'Invalid token' });
+    return null;
+  }
+
+  if (!mongoose.connection.readyState) {
+    res.status(503).json({ message: 'Database connection unavailable', code: 'DB_UNAVAILABLE' });
+    return null;
+  }
+
+  try {
+    if (await isAccessTokenRevoked(payload)) {
+      res.status(401).json({ message: 'Token has been revoked' });
+      return null;
+    }
+  } catch (err) {
+    sendError(res, err, 'Error verifying token');
+    return null;
+  }
+
+  return payload;
+};
+
+// Requires a valid, non-revoked JWT and exposes its payload as req.user
+export const authMiddleware = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return res.status(401).json({ message: 'No token provided' });
+
+  const payload = await verifyRequestToken(token, res);
+  if (!payload) return;
+
+  req.user = payload;
+  next();
+};
+
+// Parent portal: requires a parent token whose access code is still current.
+// Exposes the child's id as req.parent.studentId.
+export const parentAuth = async (req, res, next) => {
+  const token = getToken(req);
+  if (!token) return res.status(401).json({ message: 'No token provided' });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+
+  if (payload.type !== 'parent') {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+
+  try {
+    const student = await Student.findOne({ _id: payload.student, isActive: true })
+      .select('parentAccess')
+      .lean();
+    if (!student?.parentAccess?.createdAt || student.parentAccess.createdAt.getTime() !== payload.code) {
+      return res.status(401).json({ message: 'Token has been revoked' });
+    }
+  } catch (err) {
+    return sendError(res, err, 'Error verifying token');
+  }
+
+  req.parent = { studentId: payload.student };
+  next();
+};
+
+// Must run after authMiddleware
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ message: 'No token provided' });
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Shorthands for mounting on routes
+export const adminOnly = [authMiddleware, requireRole('admin')];
+export const staffOnly = [authMiddleware, requireRole(...ROLES)];
+export const billingOnly = [authMiddleware, requireRole('admin', 'staff')]; // Fees and payments
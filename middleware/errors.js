@@ -0,0 +1,25 @@
+import { ERROR_CODES, sendError } from '../utils/errors.js';
+
+// Adds the matching `code` to error responses that were sent without one,
+// so every 4xx/5xx body has the same shape.
+export const errorCodes = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.code) {
+      body = { ...body, code: ERROR_CODES[res.statusCode] || 'ERROR' };
+    }
+    return json(body);
+  };
+  next();
+};
+
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({ message: 'Route not found' });
+};
+
+// Last-resort handler for errors thrown by middleware (multer, body parsers, ...)
+// or passed to next()
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  sendError(res, err);
+};
@@ -0,0 +1,108 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Limits are read from the environment per request, so they can be tuned
+// without code changes. Values are numbers of requests / milliseconds.
+// Per-IP limits key on req.ip: behind a reverse proxy, set TRUST_PROXY (see index.js)
+// so that it is the client's address rather than the proxy's.
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const resolve = (value) => (typeof value === 'function' ? value() : value);
+
+const MINUTE = 60 * 1000;
+
+// Fixed-window rate limiter. Requests whose key resolves to a falsy value are not counted.
+export const rateLimit = ({ name, windowMs, max, keyGenerator = (req) => req.ip, message }) =>
+  async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const limit = resolve(max);
+    const { count, resetAt } = await getRateLimitStore().increment(`rl:${name}:${key}`, resolve(windowMs));
+    const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(limit - count, 0)));
+    res.set('RateLimit-Reset', String(retryAfter));
+
+    if (count > limit) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: message || 'Too many requests, please try again later', retryAfter });
+    }
+
+    next();
+  };
+
+const loginUsername = (req) => {
+  const username = req.body?.username;
+  return username ? String(username).trim().toLowerCase() : null;
+};
+
+// POST /api/auth/login, per client IP
+export const loginIpLimiter = rateLimit({
+  name: 'login-ip',
+  windowMs: () => envNumber('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: () => envNumber('LOGIN_RATE_LIMIT_MAX_PER_IP', 20),
+  message: 'Too many login attempts from this address, please try again later'
+});
+
+// POST /api/auth/login, per attempted username
+export const loginUsernameLimiter = rateLimit({
+  name: 'login-user',
+  windowMs: () => envNumber('LOGIN_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: () => envNumber('LOGIN_RATE_LIMIT_MAX_PER_USERNAME', 10),
+  keyGenerator: loginUsername,
+  message: 'Too many login attempts for this account, please try again later'
+});
+
+// POST /api/parent/login, per client IP. Access codes are the only credential,
+// so guessing is throttled harder than staff logins.
+export const parentLoginLimiter = rateLimit({
+  name: 'parent-login',
+  windowMs: () => envNumber('PARENT_LOGIN_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: () => envNumber('PARENT_LOGIN_RATE_LIMIT_MAX', 10),
+  message: 'Too many login attempts from this address, please try again later'
+});
+
+// Multipart image uploads, per user (falls back to IP)
+export const uploadLimiter = rateLimit({
+  name: 'upload',
+  windowMs: () => envNumber('UPLOAD_RATE_LIMIT_WINDOW_MS', 15 * MINUTE),
+  max: () => envNumber('UPLOAD_RATE_LIMIT_MAX', 30),
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: 'Too many uploads, please try again later'
+});
+
+// Progressive lockout after repeated failed logins for the same username:
+// once the threshold is reached every further failure doubles the lock, up to a cap.
+const lockoutKey = (username) => `lockout:${username}`;
+const failuresKey = (username) => `login-failures:${username}`;
+
+export const getLoginLockout = async (username) => {
+  const lockedUntil = await getRateLimitStore().get(lockoutKey(username));
+  if (!lockedUntil || lockedUntil <= Date.now()) return null;
+  return Math.ceil((lockedUntil - Date.now()) / 1000);
+};
+
+export const recordLoginFailure = async (username) => {
+  const store = getRateLimitStore();
+  const threshold = envNumber('LOGIN_LOCKOUT_THRESHOLD', 5);
+  const baseMs = envNumber('LOGIN_LOCKOUT_BASE_MS', MINUTE);
+  const maxMs = envNumber('LOGIN_LOCKOUT_MAX_MS', 60 * MINUTE);
+
+  // Failures are forgotten a day after the last one
+  const failures = ((await store.get(failuresKey(username))) || 0) + 1;
+  await store.set(failuresKey(username), failures, 24 * 60 * MINUTE);
+
+  if (failures >= threshold) {
+    const lockMs = Math.min(baseMs * 2 ** (failures - threshold), maxMs);
+    await store.set(lockoutKey(username), Date.now() + lockMs, lockMs);
+  }
+};
+
+export const clearLoginFailures = async (username) => {
+  const store = getRateLimitStore();
+  await Promise.all([store.delete(failuresKey(username)), store.delete(lockoutKey(username))]);
+};
@@ -0,0 +1,20 @@
+import fs from 'fs';
+
+// Multer stores uploads before validation and permission checks run. This removes
+// the stored file again when the request does not succeed, so rejected requests
+// (400, 403, 404, ...) and aborted ones leave no orphaned files behind.
+// Mount it directly after the multer middleware.
+export const discardUploadOnError = (req, res, next) => {
+  res.once('close', () => {
+    if (res.statusCode < 400 && res.writableFinished) return;
+
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    for (const file of files) {
+      if (!file.path) continue;
+      fs.unlink(file.path, (err) => {
+        if (err && err.code !== 'ENOENT') console.error('Error removing upload:', err.message);
+      });
+    }
+  });
+  next();
+};
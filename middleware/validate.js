@@ -0,0 +1,156 @@
+import mongoose from 'mongoose';
+
+// Declarative request validation.
+//
+// A schema maps field names to rules:
+//   { type: 'string' | 'integer' | 'number' | 'boolean' | 'date' | 'objectId' | 'array' | 'object',
+//     required, default, enum, min, max, minLength, maxLength, pattern,
+//     items (rule for array elements), fields (schema for object properties),
+//     trim (strings only, default true; false keeps surrounding whitespace, e.g. passwords) }
+//
+// Values are coerced from their wire format, so multipart and query string fields
+// like 'true' or '42' become real booleans and numbers. Blank strings count as missing.
+// On failure the request is answered with 400 and a list of field errors.
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const coerce = {
+  string: (value, rule) => {
+    if (typeof value !== 'string' && typeof value !== 'number') return { error: 'must be a string' };
+    return { value: rule.trim === false ? String(value) : String(value).trim() };
+  },
+  integer: (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isInteger(number) ? { value: number } : { error: 'must be an integer' };
+  },
+  number: (value) => {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    return Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+  },
+  boolean: (value) => {
+    if (typeof value === 'boolean') return { value };
+    const text = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { error: 'must be a boolean' };
+  },
+  date: (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? { error: 'must be a valid date' } : { value: date };
+  },
+  objectId: (value) => (mongoose.isValidObjectId(value) && String(value).length === 24
+    ? { value: String(value) }
+    : { error: 'must be a valid id' }),
+  array: (value) => {
+    // Multipart forms may send arrays as JSON strings
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (err) {
+        return { error: 'must be an array' };
+      }
+    }
+    return Array.isArray(value) ? { value } : { error: 'must be an array' };
+  },
+  object: (value) => (value !== null && typeof value === 'object' && !Array.isArray(value)
+    ? { value }
+    : { error: 'must be an object' })
+};
+
+const checkRule = (rule, value, field, errors) => {
+  if (isMissing(value)) {
+    if (rule.required) {
+      errors.push({ field, message: 'is required' });
+      return undefined;
+    }
+    return rule.default !== undefined ? rule.default : typeof value === 'string' ? undefined : value;
+  }
+
+  const { value: coerced, error } = coerce[rule.type](value, rule);
+  if (error) {
+    errors.push({ field, message: error });
+    return undefined;
+  }
+
+  if (rule.enum && !rule.enum.includes(coerced)) {
+    errors.push({ field, message: `must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (rule.min !== undefined && coerced < rule.min) {
+    errors.push({ field, message: `must be at least ${rule.min}` });
+  }
+  if (rule.max !== undefined && coerced > rule.max) {
+    errors.push({ field, message: `must be at most ${rule.max}` });
+  }
+
+  const length = typeof coerced === 'string' || Array.isArray(coerced) ? coerced.length : undefined;
+  if (rule.minLength !== undefined && length < rule.minLength) {
+    errors.push({ field, message: `must have at least ${rule.minLength} ${rule.type === 'array' ? 'items' : 'characters'}` });
+  }
+  if (rule.maxLength !== undefined && length > rule.maxLength) {
+    errors.push({ field, message: `must have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}` });
+  }
+  if (rule.pattern && !rule.pattern.test(coerced)) {
+    errors.push({ field, message: 'has an invalid format' });
+  }
+
+  // Array elements are always required, so a null item is an error rather than a hole
+  if (rule.type === 'array' && rule.items) {
+    const itemRule = { ...rule.items, required: true };
+    return coerced.map((item, index) => checkRule(itemRule, item, `${field}[${index}]`, errors));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    return checkSchema(rule.fields, coerced, errors, `${field}.`);
+  }
+  return coerced;
+};
+
+// Returns a copy of `input` with every schema field coerced. Fields that are not
+// in the schema are passed through untouched.
+const checkSchema = (schema, input = {}, errors, prefix = '') => {
+  const output = { ...input };
+  for (const [name, rule] of Object.entries(schema)) {
+    const value = checkRule(rule, input[name], `${prefix}${name}`, errors);
+    if (value === undefined) {
+      delete output[name];
+    } else {
+      output[name] = value;
+    }
+  }
+  return output;
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// validate({ params, query, body }) - each key is a schema for that part of the request.
+// Must run after multer for multipart routes so that req.body is populated.
+export const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schemas[location]) continue;
+
+    const locationErrors = [];
+    const value = checkSchema(schemas[location], req[location] || {}, locationErrors);
+    errors.push(...locationErrors.map(error => ({ location, ...error })));
+
+    // req.query is a getter in Express 5, so shadow it instead of assigning
+    Object.defineProperty(req, location, { value, writable: true, configurable: true, enumerable: true });
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: 'Validation failed', code: 'VALIDATION_ERROR', errors });
+  }
+
+  next();
+};
+
+// Rules shared by many routes
+export const idParams = { id: { type: 'objectId', required: true } };
+
+export const paginationQuery = {
+  page: { type: 'integer', min: 1, default: 1 },
+  limit: { type: 'integer', min: 1, max: 100, default: 10 }
+};
@@ -0,0 +1,35 @@
+// Copies each group's subject onto its test results (TestResult.subject),
+// which the test result list uses for subject filtering.
+//
+// Usage: node migrations/001-test-result-subject.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Group from '../models/Group.js';
+import TestResult from '../models/TestResult.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/education-platform');
+  console.log('MongoDB connected successfully');
+
+  const groups = await Group.find().select('subject').lean();
+  let updated = 0;
+
+  for (const group of groups) {
+    const result = await TestResult.updateMany(
+      { group: group._id, subject: { $ne: group.subject } },
+      { subject: group.subject }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`${updated} ta test natijasi yangilandi`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -0,0 +1,52 @@
+// Creates an Enrollment for every student that has none yet, from Student.group.
+// Student lists and test result checks read group membership from enrollments,
+// so this must run once before deploying them.
+//
+// The enrollment starts at the student's creation date, or at their earliest
+// test in that group if that is older. Deactivated students get a withdrawn
+// enrollment ending at their last update.
+//
+// Usage: node migrations/002-enrollments.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Student from '../models/Student.js';
+import TestResult from '../models/TestResult.js';
+import Enrollment from '../models/Enrollment.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/education-platform');
+  console.log('MongoDB connected successfully');
+
+  const enrolledIds = new Set((await Enrollment.distinct('student')).map(String));
+  let created = 0;
+
+  for await (const student of Student.find().select('group isActive createdAt updatedAt').lean().cursor()) {
+    if (enrolledIds.has(String(student._id))) continue;
+
+    const firstTest = await TestResult.findOne({ group: student.group, 'results.student': student._id })
+      .select('testDate')
+      .sort({ testDate: 1 })
+      .lean();
+    const startDate = firstTest && firstTest.testDate < student.createdAt ? firstTest.testDate : student.createdAt;
+
+    await new Enrollment({
+      student: student._id,
+      group: student.group,
+      startDate,
+      status: student.isActive ? 'active' : 'withdrawn',
+      endDate: student.isActive ? undefined : student.updatedAt
+    }).save();
+    created++;
+  }
+
+  console.log(`${created} ta o'quvchi uchun guruhga a'zolik yaratildi`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
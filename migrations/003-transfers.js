@@ -0,0 +1,91 @@
+// Backfills group history for students moved before transfers were recorded.
+//
+// 1. Group changes made through PUT /api/students/:id completed one enrollment
+//    and opened another a moment later. Each such pair becomes a Transfer.
+// 2. Students moved before enrollments existed only have an enrollment in their
+//    current group, so their earlier tests no longer pass the group membership
+//    checks. A completed enrollment spanning those tests is added for each old group.
+//
+// Safe to run more than once. Usage: node migrations/003-transfers.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Enrollment from '../models/Enrollment.js';
+import TestResult from '../models/TestResult.js';
+import Transfer from '../models/Transfer.js';
+
+dotenv.config();
+
+// Largest gap between ending the old enrollment and opening the new one
+const PAIR_WINDOW_MS = 60 * 1000;
+
+const backfillTransfers = async () => {
+  let created = 0;
+
+  for await (const ended of Enrollment.find({ status: 'completed', endDate: { $ne: null } }).lean().cursor()) {
+    const next = await Enrollment.findOne({
+      student: ended.student,
+      group: { $ne: ended.group },
+      startDate: { $gte: ended.endDate, $lte: new Date(ended.endDate.getTime() + PAIR_WINDOW_MS) }
+    }).lean();
+    if (!next) continue;
+
+    const exists = await Transfer.exists({ student: ended.student, fromGroup: ended.group, toGroup: next.group });
+    if (exists) continue;
+
+    await new Transfer({ student: ended.student, fromGroup: ended.group, toGroup: next.group, date: ended.endDate }).save();
+    created++;
+  }
+
+  return created;
+};
+
+const backfillPastGroups = async () => {
+  let created = 0;
+
+  // First and last test of every student in every group
+  const taken = await TestResult.aggregate([
+    { $unwind: '$results' },
+    {
+      $group: {
+        _id: { student: '$results.student', group: '$group' },
+        first: { $min: '$testDate' },
+        last: { $max: '$testDate' }
+      }
+    }
+  ]);
+
+  for (const { _id: { student, group }, first, last } of taken) {
+    const covered = await Enrollment.exists({ student, group, ...Enrollment.coveringDate(first) });
+    if (covered) continue;
+
+    await new Enrollment({
+      student,
+      group,
+      startDate: first,
+      endDate: last,
+      status: 'completed',
+      notes: 'Restored from test results'
+    }).save();
+    created++;
+  }
+
+  return created;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/education-platform');
+  console.log('MongoDB connected successfully');
+
+  const enrollments = await backfillPastGroups();
+  console.log(`${enrollments} ta eski guruh a'zoligi tiklandi`);
+
+  const transfers = await backfillTransfers();
+  console.log(`${transfers} ta ko'chirish yozildi`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
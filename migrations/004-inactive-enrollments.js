@@ -0,0 +1,35 @@
+// Withdraws the enrollments that deactivated students still have. Deactivating a
+// student did not end their enrollments at first, so they kept being charged fees
+// and marked in lessons. Each enrollment ends at the student's last update.
+//
+// Safe to run more than once. Usage: node migrations/004-inactive-enrollments.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Student from '../models/Student.js';
+import Enrollment from '../models/Enrollment.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/education-platform');
+  console.log('MongoDB connected successfully');
+
+  let withdrawn = 0;
+
+  for await (const student of Student.find({ isActive: false }).select('updatedAt').lean().cursor()) {
+    const result = await Enrollment.updateMany(
+      { student: student._id, status: 'active' },
+      { status: 'withdrawn', endDate: student.updatedAt, updatedAt: Date.now() }
+    );
+    withdrawn += result.modifiedCount;
+  }
+
+  console.log(`${withdrawn} ta guruh a'zoligi yakunlandi`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('Migration error:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.connection.close());
@@ -21,6 +21,11 @@ const achievementSchema = new mongoose.Schema({
     ref: 'Group',
     required: false // Make group optional since we're focusing on individual achievements
   },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: false // Links the achievement to a student's record (shown in the parent portal)
+  },
   achievementType: {
     type: String,
     required: true,
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true
+    },
+    username: String,
+    role: String
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'deactivate', 'publish', 'unpublish', 'password-reset', 'logout-all', 'parent-access-grant', 'parent-access-revoke'],
+    index: true
+  },
+  method: {
+    type: String
+  },
+  route: {
+    type: String // Original request URL
+  },
+  entityType: {
+    type: String,
+    required: true // Model name, e.g. "TestResult"
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  changes: [{
+    _id: false,
+    field: String, // Dotted path, array items keyed by student or _id
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { MONTH_PATTERN } from './Fee.js';
+
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Reduction of a student's monthly fee, in one group or (without group) in all of them
+const discountSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group' // Empty for every group of the student
+  },
+  type: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true
+  },
+  value: {
+    type: Number, // Percent of the fee, or an amount taken off it
+    required: true,
+    min: 0
+  },
+  startMonth: {
+    type: String, // "YYYY-MM"
+    required: true,
+    match: MONTH_PATTERN
+  },
+  endMonth: {
+    type: String, // "YYYY-MM", inclusive. Empty for open-ended discounts
+    match: MONTH_PATTERN
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+discountSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+discountSchema.index({ student: 1, startMonth: 1 });
+
+export default mongoose.model('Discount', discountSchema);
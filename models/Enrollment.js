@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const ENROLLMENT_STATUSES = ['active', 'completed', 'withdrawn'];
+
+// A student's membership of one group over a period. A student can have
+// several active enrollments (one per group) and keeps ended ones as history.
+const enrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endDate: {
+    type: Date // Set when the enrollment ends
+  },
+  status: {
+    type: String,
+    enum: ENROLLMENT_STATUSES,
+    default: 'active'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+enrollmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Filter for enrollments covering the (UTC) day of `date`. Whole days are compared
+// because test dates have no time while enrollments start at the moment they are made.
+enrollmentSchema.statics.coveringDate = function(date) {
+  const dayStart = new Date(date);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart.getTime() + 24 * 60 * 60 * 1000);
+  return {
+    startDate: { $lt: dayEnd },
+    $or: [{ endDate: null }, { endDate: { $gte: dayStart } }]
+  };
+};
+
+// Filter for enrollments that have not ended by `date`. The old enrollment of a
+// transfer dated in the future stays active, with an end date, until that date.
+enrollmentSchema.statics.openAt = function(date = new Date()) {
+  return { status: 'active', $or: [{ endDate: null }, { endDate: { $gt: date } }] };
+};
+
+// Filter for enrollments in effect at `date`: open and already started
+enrollmentSchema.statics.inEffect = function(date = new Date()) {
+  return { ...this.openAt(date), startDate: { $lte: date } };
+};
+
+enrollmentSchema.methods.hasEnded = function(date = new Date()) {
+  return this.status !== 'active' || Boolean(this.endDate && this.endDate <= date);
+};
+
+// An active enrollment whose end date has passed is reported as completed
+enrollmentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.status === 'active' && ret.endDate && ret.endDate <= new Date()) {
+      ret.status = 'completed';
+    }
+    return ret;
+  }
+});
+
+enrollmentSchema.index({ group: 1, status: 1 });
+enrollmentSchema.index({ student: 1, startDate: -1 });
+
+export default mongoose.model('Enrollment', enrollmentSchema);
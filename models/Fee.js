@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Billing months are "YYYY-MM" strings, which sort chronologically
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Monthly tuition of a group. A definition applies from its month until the
+// next definition of the same group, so past months keep the fee they had.
+const feeSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  effectiveFrom: {
+    type: String, // "YYYY-MM"
+    required: true,
+    match: MONTH_PATTERN
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+feeSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One definition per group and month
+feeSchema.index({ group: 1, effectiveFrom: 1 }, { unique: true });
+
+export default mongoose.model('Fee', feeSchema);
@@ -10,6 +10,11 @@ const groupSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User', // Teacher account allowed to manage this group
+    index: true
+  },
   subject: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Subject',
@@ -19,6 +24,27 @@ const groupSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Weekly recurring lessons. Times are "HH:MM" in the center's local time.
+  schedule: [{
+    dayOfWeek: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 7 // 1 = Monday ... 7 = Sunday
+    },
+    startTime: {
+      type: String,
+      required: true
+    },
+    endTime: {
+      type: String,
+      required: true
+    },
+    room: {
+      type: String,
+      trim: true
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -34,6 +60,8 @@ groupSchema.pre('save', function(next) {
   next();
 });
 
+groupSchema.index({ 'schedule.dayOfWeek': 1 });
+
 // Ensure unique group names per subject
 groupSchema.index({ name: 1, subject: 1 }, { unique: true });
 
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+// One lesson (session) of a group with the attendance mark of each student
+const lessonSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  topic: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  attendance: [{
+    _id: false,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ATTENDANCE_STATUSES,
+      required: true
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+lessonSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+lessonSchema.index({ group: 1, date: -1 });
+lessonSchema.index({ 'attendance.student': 1, date: -1 });
+
+export default mongoose.model('Lesson', lessonSchema);
@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { MONTH_PATTERN } from './Fee.js';
+
+export const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'click', 'payme', 'other'];
+
+// Money received from a student for one month of one group
+const paymentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  month: {
+    type: String, // "YYYY-MM" the payment is for
+    required: true,
+    match: MONTH_PATTERN
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  paidAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  method: {
+    type: String,
+    enum: PAYMENT_METHODS,
+    required: true
+  },
+  receiptNumber: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+paymentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Receipt numbers are unique when given
+paymentSchema.index({ receiptNumber: 1 }, { unique: true, partialFilterExpression: { receiptNumber: { $type: 'string' } } });
+paymentSchema.index({ student: 1, month: 1 });
+paymentSchema.index({ group: 1, month: 1 });
+paymentSchema.index({ paidAt: -1 });
+
+export default mongoose.model('Payment', paymentSchema);
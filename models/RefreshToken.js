@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true // SHA-256 of the opaque token; the token itself is never stored
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true // All tokens rotated from the same login share a family
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedByHash: {
+    type: String
+  },
+  createdByIp: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Revocation list for access tokens that were logged out before they expired
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true // Same as the token's exp, after which the entry is useless
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RevokedToken', revokedTokenSchema);
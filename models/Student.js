@@ -1,4 +1,12 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Unambiguous characters only, so codes can be read out over the phone
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 10;
+
+const normalizeAccessCode = (code) => String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+const hashAccessCode = (code) => crypto.createHash('sha256').update(normalizeAccessCode(code)).digest('hex');
 
 const studentSchema = new mongoose.Schema({
   firstName: {
@@ -21,10 +29,11 @@ const studentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Primary group. Null once the student has no active enrollment left.
   group: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
-    required: true
+    default: null
   },
   parentContact: {
     type: String,
@@ -42,6 +51,15 @@ const studentSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  parentAccess: {
+    codeHash: {
+      type: String,
+      index: { unique: true, sparse: true }
+    },
+    createdAt: {
+      type: Date // Also identifies the code in parent tokens, so regenerating it logs parents out
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -62,9 +80,30 @@ studentSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
-// Ensure virtual fields are serialized
+// Issues a new parent portal access code, replacing any previous one.
+// Only the hash is stored; the plain code is returned once to be handed to the parent.
+studentSchema.methods.generateParentAccessCode = function() {
+  const chars = Array.from({ length: ACCESS_CODE_LENGTH }, () =>
+    ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)]
+  ).join('');
+
+  this.parentAccess = { codeHash: hashAccessCode(chars), createdAt: Date.now() };
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+studentSchema.statics.findByParentAccessCode = function(code) {
+  return this.findOne({ 'parentAccess.codeHash': hashAccessCode(code), isActive: true });
+};
+
+// Ensure virtual fields are serialized, without the access code hash
 studentSchema.set('toJSON', {
-  virtuals: true
+  virtuals: true,
+  transform: (doc, ret) => {
+    if (ret.parentAccess) {
+      ret.parentAccess = { enabled: Boolean(ret.parentAccess.codeHash), createdAt: ret.parentAccess.createdAt };
+    }
+    return ret;
+  }
 });
 
 export default mongoose.model('Student', studentSchema);
\ No newline at end of file
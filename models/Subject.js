@@ -1,5 +1,30 @@
 import mongoose from 'mongoose';
 
+// Percentage bands mapped to grades, e.g. 86+ -> "5". Also used by TestResult
+// as a per-test override.
+export const gradingScaleSchema = new mongoose.Schema({
+  passMark: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100 // Percentage needed to pass
+  },
+  bands: [{
+    _id: false,
+    minPercentage: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 100
+    },
+    grade: {
+      type: String,
+      required: true,
+      trim: true // "5", "A", "a'lo"...
+    }
+  }]
+}, { _id: false });
+
 const subjectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -17,6 +42,10 @@ const subjectSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  gradingScale: {
+    type: gradingScaleSchema,
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now,
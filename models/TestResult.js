@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { sectionTotals, storedPercentage } from '../utils/scores.js';
+import { gradingScaleSchema } from './Subject.js';
 
 const testResultSchema = new mongoose.Schema({
   group: {
@@ -6,6 +8,11 @@ const testResultSchema = new mongoose.Schema({
     ref: 'Group',
     required: true
   },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject', // Copy of group.subject so lists can filter by subject in the database
+    index: true
+  },
   testName: {
     type: String,
     required: true,
@@ -15,6 +22,26 @@ const testResultSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Blocks of a multi-section test (e.g. DTM mandatory and specialized subjects).
+  // When present, each entry's score and maxScore are the weighted section totals.
+  sections: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    maxScore: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    weight: {
+      type: Number,
+      default: 1,
+      min: 0 // Points per unit of section score
+    }
+  }],
   results: [{
     student: {
       type: mongoose.Schema.Types.ObjectId,
@@ -39,8 +66,25 @@ const testResultSchema = new mongoose.Schema({
     notes: {
       type: String,
       trim: true
-    }
+    },
+    sectionScores: [{
+      _id: false,
+      section: {
+        type: String,
+        required: true,
+        trim: true // TestResult.sections name
+      },
+      score: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    }]
   }],
+  gradingScale: {
+    type: gradingScaleSchema, // Overrides the subject's scale for this test
+    default: undefined
+  },
   averageScore: {
     type: Number,
     min: 0,
@@ -68,15 +112,26 @@ const testResultSchema = new mongoose.Schema({
   }
 });
 
+// On multi-section tests each entry's score and maxScore are the weighted section
+// totals. Runs before validation because score is a required path.
+testResultSchema.pre('validate', function(next) {
+  if (this.sections && this.sections.length > 0) {
+    this.results.forEach(result => {
+      Object.assign(result, sectionTotals(this.sections, result.sectionScores));
+    });
+  }
+  next();
+});
+
 testResultSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   
   // Calculate average score and total students
   if (this.results && this.results.length > 0) {
-    // Calculate percentage for each result if not provided
+    // Recomputed every time so corrected scores never keep a stale percentage
     this.results.forEach(result => {
-      if (!result.percentage && result.score !== undefined && result.maxScore) {
-        result.percentage = Math.round((result.score / result.maxScore) * 100);
+      if (result.score !== undefined && result.maxScore) {
+        result.percentage = storedPercentage(result.score, result.maxScore);
       }
     });
     
@@ -94,4 +149,14 @@ testResultSchema.pre('save', function(next) {
   next();
 });
 
+// Fill in the subject copy for documents saved without it (e.g. seed scripts)
+testResultSchema.pre('save', async function() {
+  if (this.subject && !this.isModified('group')) return;
+  const group = await mongoose.model('Group').findById(this.group).select('subject').lean();
+  if (group) this.subject = group.subject;
+});
+
+testResultSchema.index({ group: 1, testDate: -1 });
+testResultSchema.index({ createdAt: -1 });
+
 export default mongoose.model('TestResult', testResultSchema);
\ No newline at end of file
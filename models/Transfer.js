@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// A student moving from one group to another. The enrollment in the old group
+// ends on `date` and one in the new group starts, so test results and attendance
+// recorded before the transfer stay with the group the student was in at the time.
+// A transfer dated in the future stays pending until its date, and only then moves
+// the student's primary group; until then it can be cancelled.
+const transferSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  fromGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  toGroup: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'completed'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+transferSchema.index({ student: 1, date: -1 });
+transferSchema.index({ status: 1, date: 1 });
+
+export default mongoose.model('Transfer', transferSchema);
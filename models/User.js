@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  fullName: {
+    type: String,
+    trim: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['admin', 'teacher', 'staff'],
+    default: 'staff'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  tokensValidAfter: {
+    type: Date // Access tokens issued before this are rejected ("log out all sessions")
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Hashes with scrypt and a per-user random salt, stored as "salt:hash"
+userSchema.methods.setPassword = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  this.passwordHash = `${salt}:${hash.toString('hex')}`;
+  this.passwordChangedAt = Date.now();
+};
+
+userSchema.methods.verifyPassword = async function(password) {
+  const [salt, stored] = (this.passwordHash || '').split(':');
+  if (!salt || !stored) return false;
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const storedBuffer = Buffer.from(stored, 'hex');
+  return storedBuffer.length === hash.length && crypto.timingSafeEqual(storedBuffer, hash);
+};
+
+// Creates the first admin from ADMIN_USER/ADMIN_PASS when the collection is empty,
+// so a fresh deployment can log in and add the rest of the staff.
+userSchema.statics.ensureInitialAdmin = async function() {
+  if (await this.exists({})) return;
+
+  const { ADMIN_USER, ADMIN_PASS } = process.env;
+  if (!ADMIN_USER || !ADMIN_PASS) {
+    console.warn('No users found. Set ADMIN_USER and ADMIN_PASS to create the initial admin account.');
+    return;
+  }
+
+  const admin = new this({ username: ADMIN_USER, role: 'admin', fullName: 'Administrator' });
+  await admin.setPassword(ADMIN_PASS);
+  await admin.save();
+  console.log('Initial admin account created:', admin.username);
+};
+
+// Never send password hashes to clients
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+export default mongoose.model('User', userSchema);
@@ -5,6 +5,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Achievement from '../models/Achievement.js';
 import Group from '../models/Group.js';
+import Student from '../models/Student.js';
+import { staffOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { discardUploadOnError } from '../middleware/upload.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { achievementBody, achievementListQuery } from '../validators/achievements.js';
+import { sendError, ApiError } from '../utils/errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,7 +43,7 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'));
+      cb(new ApiError(415, 'Only image files are allowed', 'UNSUPPORTED_FILE_TYPE'));
     }
   }
 });
@@ -48,7 +56,7 @@ if (!fs.existsSync(achievementsDir)) {
 }
 
 // GET /api/achievements - Get all achievements with pagination
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, validate({ query: achievementListQuery }), async (req, res) => {
   try {
     console.log('Achievements API: GET / chaqirildi');
     
@@ -56,7 +64,7 @@ router.get('/', async (req, res) => {
     if (!mongoose.connection.readyState) {
       return res.status(503).json({ 
         message: 'Database connection unavailable', 
-        error: 'MongoDB not connected' 
+        code: 'DB_UNAVAILABLE'
       });
     }
     
@@ -64,7 +72,7 @@ router.get('/', async (req, res) => {
     let query = {};
     
     if (published !== undefined) {
-      query.isPublished = published === 'true';
+      query.isPublished = published;
     }
     
     if (groupId) {
@@ -98,20 +106,12 @@ router.get('/', async (req, res) => {
     });
   } catch (error) {
     console.error('Achievements API xatosi:', error.message);
-    
-    if (error.name === 'MongoTimeoutError' || error.name === 'MongoServerSelectionError') {
-      return res.status(503).json({ 
-        message: 'Database connection timeout', 
-        error: 'Unable to connect to database' 
-      });
-    }
-    
-    res.status(500).json({ message: 'Error fetching achievements', error: error.message });
+    sendError(res, error, 'Error fetching achievements');
   }
 });
 
 // GET /api/achievements/:id - Get achievement by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const achievement = await Achievement.findById(req.params.id);
     
@@ -121,26 +121,28 @@ router.get('/:id', async (req, res) => {
     
     res.json(achievement);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching achievement', error: error.message });
+    sendError(res, error, 'Error fetching achievement');
   }
 });
 
 // POST /api/achievements - Create new achievement
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ body: achievementBody }), async (req, res) => {
   try {
     const { 
       studentName, 
       age, 
       school,
       title, 
-      level
+      level,
+      student
     } = req.body;
-    
-    // Only studentName, age, title, and level are required
-    if (!studentName || !age || !title || !level) {
-      return res.status(400).json({ 
-        message: 'Student name, age, title, and level are required' 
-      });
+
+    // Verify linked student exists if provided
+    if (student) {
+      const studentExists = await Student.findById(student);
+      if (!studentExists) {
+        return res.status(400).json({ message: 'Student not found' });
+      }
     }
 
     let imageUrl = null;
@@ -150,25 +152,27 @@ router.post('/', upload.single('image'), async (req, res) => {
 
     const achievement = new Achievement({
       studentName: studentName.trim(),
-      age: parseInt(age),
+      age,
       school: school?.trim() || '',
       title: title.trim(),
       level: level.trim(),
+      student: student || null,
       imageUrl,
       achievementDate: new Date(), // Auto-set to current date
       isPublished: true // Auto-publish new achievements
     });
 
     const savedAchievement = await achievement.save();
+    await recordAudit(req, { action: 'create', entityType: 'Achievement', after: savedAchievement });
     
     res.status(201).json(savedAchievement);
   } catch (error) {
-    res.status(500).json({ message: 'Error creating achievement', error: error.message });
+    sendError(res, error, 'Error creating achievement');
   }
 });
 
 // PUT /api/achievements/:id - Update achievement
-router.put('/:id', upload.single('image'), async (req, res) => {
+router.put('/:id', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ params: idParams, body: achievementBody }), async (req, res) => {
   try {
     const { 
       studentName, 
@@ -176,22 +180,26 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       school,
       title, 
       level,
+      student,
       isPublished 
     } = req.body;
-    
-    if (!studentName || !age || !title || !level) {
-      return res.status(400).json({ 
-        message: 'Student name, age, title, and level are required' 
-      });
+
+    // Verify linked student exists if provided
+    if (student) {
+      const studentExists = await Student.findById(student);
+      if (!studentExists) {
+        return res.status(400).json({ message: 'Student not found' });
+      }
     }
 
     const updateData = {
       studentName: studentName.trim(),
-      age: parseInt(age),
+      age,
       school: school?.trim() || '',
       title: title.trim(),
       level: level.trim(),
-      isPublished: isPublished !== undefined ? isPublished === 'true' : true,
+      student: student || null,
+      isPublished: isPublished !== undefined ? isPublished : true,
       updatedAt: Date.now()
     };
 
@@ -199,6 +207,7 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       updateData.imageUrl = `/uploads/achievements/${req.file.filename}`;
     }
 
+    const previousAchievement = await Achievement.findById(req.params.id).lean();
     const achievement = await Achievement.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -209,14 +218,16 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       return res.status(404).json({ message: 'Achievement not found' });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Achievement', before: previousAchievement, after: achievement });
+
     res.json(achievement);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating achievement', error: error.message });
+    sendError(res, error, 'Error updating achievement');
   }
 });
 
 // PATCH /api/achievements/:id/publish - Toggle publish status
-router.patch('/:id/publish', async (req, res) => {
+router.patch('/:id/publish', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const achievement = await Achievement.findById(req.params.id);
     
@@ -224,19 +235,26 @@ router.patch('/:id/publish', async (req, res) => {
       return res.status(404).json({ message: 'Achievement not found' });
     }
 
+    const previousAchievement = achievement.toObject();
     achievement.isPublished = !achievement.isPublished;
     achievement.updatedAt = Date.now();
     
     const updatedAchievement = await achievement.save();
+    await recordAudit(req, {
+      action: updatedAchievement.isPublished ? 'publish' : 'unpublish',
+      entityType: 'Achievement',
+      before: previousAchievement,
+      after: updatedAchievement
+    });
 
     res.json(updatedAchievement);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating publish status', error: error.message });
+    sendError(res, error, 'Error updating publish status');
   }
 });
 
 // DELETE /api/achievements/:id - Delete achievement
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const achievement = await Achievement.findByIdAndDelete(req.params.id);
     
@@ -244,6 +262,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Achievement not found' });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'Achievement', before: achievement });
+
     // TODO: Delete associated image file if exists
     // if (achievement.imageUrl) {
     //   const imagePath = path.join(__dirname, '../', achievement.imageUrl);
@@ -254,7 +274,7 @@ router.delete('/:id', async (req, res) => {
 
     res.json({ message: 'Achievement deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting achievement', error: error.message });
+    sendError(res, error, 'Error deleting achievement');
   }
 });
 
@@ -0,0 +1,66 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { adminOnly } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { auditLogQuery } from '../validators/auditLogs.js';
+import { sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// GET /api/audit-logs - Query the audit log by entity, user, action and date range
+router.get('/', adminOnly, validate({ query: auditLogQuery }), async (req, res) => {
+  try {
+    const { entityType, entityId, userId, action, from, to, page = 1, limit = 20 } = req.query;
+    let query = {};
+
+    if (entityType) {
+      query.entityType = entityType;
+    }
+
+    if (entityId) {
+      query.entityId = entityId;
+    }
+
+    if (userId) {
+      query['actor.id'] = userId;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      AuditLog.countDocuments(query)
+    ]);
+
+    res.json({
+      data: logs,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / limitNumber),
+        totalItems: total,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < Math.ceil(total / limitNumber),
+        hasPrevPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching audit logs');
+  }
+});
+
+export default router;
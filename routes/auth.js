@@ -0,0 +1,115 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { loginBody, refreshBody, logoutBody } from '../validators/auth.js';
+import {
+  loginIpLimiter,
+  loginUsernameLimiter,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../middleware/rateLimit.js';
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessToken,
+  revokeAllSessions,
+  TokenError
+} from '../utils/tokens.js';
+import { sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// POST /api/auth/login - Exchange username and password for an access and refresh token
+router.post('/login', loginIpLimiter, validate({ body: loginBody }), loginUsernameLimiter, async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const normalizedUsername = username.toLowerCase();
+
+    const retryAfter = await getLoginLockout(normalizedUsername);
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many failed login attempts, account temporarily locked', retryAfter });
+    }
+
+    const user = await User.findOne({ username: normalizedUsername });
+    if (!user || !(await user.verifyPassword(password))) {
+      await recordLoginFailure(normalizedUsername);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    await clearLoginFailures(normalizedUsername);
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is disabled' });
+    }
+
+    user.lastLoginAt = Date.now();
+    await user.save();
+
+    res.json(await issueTokens(user, req));
+  } catch (error) {
+    sendError(res, error, 'Error logging in');
+  }
+});
+
+// POST /api/auth/refresh - Rotate a refresh token into a new token pair
+router.post('/refresh', validate({ body: refreshBody }), async (req, res) => {
+  try {
+    res.json(await rotateRefreshToken(req.body.refreshToken, req));
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    sendError(res, error, 'Error refreshing token');
+  }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', authMiddleware, validate({ body: logoutBody }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await Promise.all([
+      revokeAccessToken(req.user, 'logout'),
+      refreshToken ? revokeRefreshToken(refreshToken, req.user.id) : null
+    ]);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error logging out');
+  }
+});
+
+// POST /api/auth/logout-all - End every session of the current user
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await Promise.all([
+      revokeAllSessions(req.user.id),
+      revokeAccessToken(req.user, 'logout-all')
+    ]);
+
+    res.json({ message: 'Logged out from all sessions' });
+  } catch (error) {
+    sendError(res, error, 'Error logging out');
+  }
+});
+
+// GET /api/auth/me - Get the logged-in user
+router.get('/me', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Error fetching user');
+  }
+});
+
+export default router;
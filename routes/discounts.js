@@ -0,0 +1,114 @@
+import express from 'express';
+import Discount from '../models/Discount.js';
+import Group from '../models/Group.js';
+import Student from '../models/Student.js';
+import { adminOnly, billingOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { discountBody, discountListQuery } from '../validators/billing.js';
+import { ApiError, sendError } from '../utils/errors.js';
+
+// Per-student reductions of the monthly fee
+const router = express.Router();
+
+// Checks references and the period of a discount body
+const assertValidDiscount = async ({ student, group, type, value, startMonth, endMonth }) => {
+  const errors = [];
+  if (type === 'percentage' && value > 100) {
+    errors.push({ location: 'body', field: 'value', message: 'must be at most 100' });
+  }
+  if (endMonth && endMonth < startMonth) {
+    errors.push({ location: 'body', field: 'endMonth', message: 'must not be before startMonth' });
+  }
+  if (errors.length > 0) {
+    throw new ApiError(422, 'Discount is invalid', 'INVALID_DISCOUNT', errors);
+  }
+
+  const [studentExists, groupExists] = await Promise.all([
+    Student.exists({ _id: student }),
+    group ? Group.exists({ _id: group }) : true
+  ]);
+  if (!studentExists) throw new ApiError(400, 'Student not found');
+  if (!groupExists) throw new ApiError(400, 'Group not found');
+};
+
+// GET /api/discounts - Discounts of a student and/or group
+router.get('/', billingOnly, validate({ query: discountListQuery }), async (req, res) => {
+  try {
+    const { studentId, groupId } = req.query;
+    let query = {};
+
+    if (studentId) {
+      query.student = studentId;
+    }
+
+    if (groupId) {
+      query.group = groupId;
+    }
+
+    const discounts = await Discount.find(query)
+      .populate('student', 'firstName lastName')
+      .populate('group', 'name')
+      .sort({ startMonth: -1 });
+
+    res.json(discounts);
+  } catch (error) {
+    sendError(res, error, 'Error fetching discounts');
+  }
+});
+
+// POST /api/discounts - Give a student a discount
+router.post('/', adminOnly, validate({ body: discountBody }), async (req, res) => {
+  try {
+    await assertValidDiscount(req.body);
+
+    const { student, group, type, value, startMonth, endMonth, reason } = req.body;
+    const discount = await new Discount({ student, group, type, value, startMonth, endMonth, reason: reason?.trim() }).save();
+    await recordAudit(req, { action: 'create', entityType: 'Discount', after: discount });
+
+    res.status(201).json(discount);
+  } catch (error) {
+    sendError(res, error, 'Error creating discount');
+  }
+});
+
+// PUT /api/discounts/:id - Update a discount
+router.put('/:id', adminOnly, validate({ params: idParams, body: discountBody }), async (req, res) => {
+  try {
+    await assertValidDiscount(req.body);
+
+    const discount = await Discount.findById(req.params.id);
+    if (!discount) {
+      return res.status(404).json({ message: 'Discount not found' });
+    }
+
+    const { student, group, type, value, startMonth, endMonth, reason } = req.body;
+    const before = discount.toObject();
+    discount.set({ student, group: group ?? null, type, value, startMonth, endMonth: endMonth ?? null, reason: reason?.trim() });
+    await discount.save();
+    await recordAudit(req, { action: 'update', entityType: 'Discount', before, after: discount });
+
+    res.json(discount);
+  } catch (error) {
+    sendError(res, error, 'Error updating discount');
+  }
+});
+
+// DELETE /api/discounts/:id - Remove a discount
+router.delete('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const discount = await Discount.findByIdAndDelete(req.params.id);
+
+    if (!discount) {
+      return res.status(404).json({ message: 'Discount not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'Discount', before: discount });
+
+    res.json({ message: 'Discount deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting discount');
+  }
+});
+
+export default router;
@@ -0,0 +1,95 @@
+import express from 'express';
+import Fee from '../models/Fee.js';
+import Group from '../models/Group.js';
+import { adminOnly, billingOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { feeBody, feeListQuery } from '../validators/billing.js';
+import { sendError } from '../utils/errors.js';
+
+// Monthly tuition definitions of groups
+const router = express.Router();
+
+// GET /api/fees - Fee definitions, optionally of one group
+router.get('/', billingOnly, validate({ query: feeListQuery }), async (req, res) => {
+  try {
+    const { groupId } = req.query;
+    let query = {};
+
+    if (groupId) {
+      query.group = groupId;
+    }
+
+    const fees = await Fee.find(query)
+      .populate('group', 'name')
+      .sort({ group: 1, effectiveFrom: -1 });
+
+    res.json(fees);
+  } catch (error) {
+    sendError(res, error, 'Error fetching fees');
+  }
+});
+
+// POST /api/fees - Define the monthly fee of a group from a month on
+router.post('/', adminOnly, validate({ body: feeBody }), async (req, res) => {
+  try {
+    const { group, amount, effectiveFrom, notes } = req.body;
+
+    const groupExists = await Group.exists({ _id: group });
+    if (!groupExists) {
+      return res.status(400).json({ message: 'Group not found' });
+    }
+
+    const fee = await new Fee({ group, amount, effectiveFrom, notes: notes?.trim() }).save();
+    await recordAudit(req, { action: 'create', entityType: 'Fee', after: fee });
+
+    res.status(201).json(fee);
+  } catch (error) {
+    sendError(res, error, 'Error creating fee');
+  }
+});
+
+// PUT /api/fees/:id - Update a fee definition
+router.put('/:id', adminOnly, validate({ params: idParams, body: feeBody }), async (req, res) => {
+  try {
+    const { group, amount, effectiveFrom, notes } = req.body;
+
+    const groupExists = await Group.exists({ _id: group });
+    if (!groupExists) {
+      return res.status(400).json({ message: 'Group not found' });
+    }
+
+    const fee = await Fee.findById(req.params.id);
+    if (!fee) {
+      return res.status(404).json({ message: 'Fee not found' });
+    }
+
+    const before = fee.toObject();
+    fee.set({ group, amount, effectiveFrom, notes: notes?.trim() });
+    await fee.save();
+    await recordAudit(req, { action: 'update', entityType: 'Fee', before, after: fee });
+
+    res.json(fee);
+  } catch (error) {
+    sendError(res, error, 'Error updating fee');
+  }
+});
+
+// DELETE /api/fees/:id - Delete a fee definition
+router.delete('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const fee = await Fee.findByIdAndDelete(req.params.id);
+
+    if (!fee) {
+      return res.status(404).json({ message: 'Fee not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'Fee', before: fee });
+
+    res.json({ message: 'Fee deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting fee');
+  }
+});
+
+export default router;
@@ -4,6 +4,15 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Graduate from '../models/Graduate.js';
 import Group from '../models/Group.js';
+import { staffOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { discardUploadOnError } from '../middleware/upload.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { graduateBody, graduateExportQuery, graduateListQuery } from '../validators/graduates.js';
+import { sendError, ApiError } from '../utils/errors.js';
+import { containsInsensitive } from '../utils/regex.js';
+import { streamSpreadsheet, exportFilename } from '../utils/spreadsheet.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -34,7 +43,7 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'));
+      cb(new ApiError(415, 'Only image files are allowed', 'UNSUPPORTED_FILE_TYPE'));
     }
   }
 });
@@ -46,23 +55,31 @@ if (!fs.existsSync(graduatesDir)) {
   fs.mkdirSync(graduatesDir, { recursive: true });
 }
 
+// Builds the database filter shared by the list and the export
+const buildGraduateFilter = (req) => {
+  const { published, admissionType, field } = req.query;
+  let query = {};
+
+  if (published !== undefined) {
+    query.isPublished = published;
+  }
+
+  if (admissionType) {
+    query.admissionType = admissionType;
+  }
+
+  if (field) {
+    query.field = containsInsensitive(field); // Case-insensitive search
+  }
+
+  return query;
+};
+
 // GET /api/graduates - Get all graduates with pagination
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, validate({ query: graduateListQuery }), async (req, res) => {
   try {
-    const { published, admissionType, field, page = 1, limit = 10 } = req.query;
-    let query = {};
-    
-    if (published !== undefined) {
-      query.isPublished = published === 'true';
-    }
-    
-    if (admissionType && ['grant', 'contract'].includes(admissionType)) {
-      query.admissionType = admissionType;
-    }
-    
-    if (field) {
-      query.field = new RegExp(field, 'i'); // Case-insensitive search
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const query = buildGraduateFilter(req);
 
     const pageNumber = parseInt(page);
     const limitNumber = parseInt(limit);
@@ -95,12 +112,45 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching graduates', error: error.message });
+    sendError(res, error, 'Error fetching graduates');
+  }
+});
+
+// GET /api/graduates/export - Download the filtered graduates as CSV or XLSX
+router.get('/export', staffOnly, validate({ query: graduateExportQuery }), async (req, res) => {
+  try {
+    const cursor = Graduate.find(buildGraduateFilter(req))
+      .populate('previousGroup', 'name')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    await streamSpreadsheet(res, {
+      format: req.query.format,
+      filename: exportFilename('graduates'),
+      sheetName: 'Graduates',
+      columns: [
+        { header: 'First name', value: graduate => graduate.firstName },
+        { header: 'Last name', value: graduate => graduate.lastName },
+        { header: 'Admission type', value: graduate => graduate.admissionType },
+        { header: 'Field', value: graduate => graduate.field, width: 24 },
+        { header: 'University', value: graduate => graduate.university, width: 32 },
+        { header: 'Admission year', value: graduate => graduate.admissionYear },
+        { header: 'Graduation year', value: graduate => graduate.graduationYear },
+        { header: 'Final score', value: graduate => graduate.finalScore },
+        { header: 'Previous group', value: graduate => graduate.previousGroup?.name },
+        { header: 'Published', value: graduate => (graduate.isPublished ? 'yes' : 'no') },
+        { header: 'Notes', value: graduate => graduate.notes, width: 32 }
+      ],
+      rows: cursor
+    });
+  } catch (error) {
+    sendError(res, error, 'Error exporting graduates');
   }
 });
 
 // GET /api/graduates/:id - Get graduate by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const graduate = await Graduate.findById(req.params.id)
       .populate({
@@ -117,12 +167,12 @@ router.get('/:id', async (req, res) => {
     
     res.json(graduate);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching graduate', error: error.message });
+    sendError(res, error, 'Error fetching graduate');
   }
 });
 
 // POST /api/graduates - Create new graduate
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ body: graduateBody }), async (req, res) => {
   try {
     const { 
       firstName, 
@@ -137,12 +187,6 @@ router.post('/', upload.single('image'), async (req, res) => {
       notes,
       isPublished 
     } = req.body;
-    
-    if (!firstName || !lastName || !admissionType || !field || !university || !admissionYear) {
-      return res.status(400).json({ 
-        message: 'First name, last name, admission type, field, university, and admission year are required' 
-      });
-    }
 
     // Verify group exists if provided
     if (previousGroup) {
@@ -164,15 +208,16 @@ router.post('/', upload.single('image'), async (req, res) => {
       admissionType,
       field: field.trim(),
       university: university.trim(),
-      admissionYear: parseInt(admissionYear),
+      admissionYear,
       previousGroup: previousGroup || null,
-      graduationYear: graduationYear ? parseInt(graduationYear) : null,
-      finalScore: finalScore ? parseFloat(finalScore) : null,
+      graduationYear: graduationYear ?? null,
+      finalScore: finalScore ?? null,
       notes: notes?.trim(),
-      isPublished: isPublished !== undefined ? isPublished === 'true' : true
+      isPublished: isPublished !== undefined ? isPublished : true
     });
 
     const savedGraduate = await graduate.save();
+    await recordAudit(req, { action: 'create', entityType: 'Graduate', after: savedGraduate });
     const populatedGraduate = await Graduate.findById(savedGraduate._id)
       .populate({
         path: 'previousGroup',
@@ -184,12 +229,12 @@ router.post('/', upload.single('image'), async (req, res) => {
     
     res.status(201).json(populatedGraduate);
   } catch (error) {
-    res.status(500).json({ message: 'Error creating graduate', error: error.message });
+    sendError(res, error, 'Error creating graduate');
   }
 });
 
 // PUT /api/graduates/:id - Update graduate
-router.put('/:id', upload.single('image'), async (req, res) => {
+router.put('/:id', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ params: idParams, body: graduateBody }), async (req, res) => {
   try {
     const { 
       firstName, 
@@ -204,12 +249,6 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       notes,
       isPublished 
     } = req.body;
-    
-    if (!firstName || !lastName || !admissionType || !field || !university || !admissionYear) {
-      return res.status(400).json({ 
-        message: 'First name, last name, admission type, field, university, and admission year are required' 
-      });
-    }
 
     // Verify group exists if provided
     if (previousGroup) {
@@ -225,12 +264,12 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       admissionType,
       field: field.trim(),
       university: university.trim(),
-      admissionYear: parseInt(admissionYear),
+      admissionYear,
       previousGroup: previousGroup || null,
-      graduationYear: graduationYear ? parseInt(graduationYear) : null,
-      finalScore: finalScore ? parseFloat(finalScore) : null,
+      graduationYear: graduationYear ?? null,
+      finalScore: finalScore ?? null,
       notes: notes?.trim(),
-      isPublished: isPublished !== undefined ? isPublished === 'true' : true,
+      isPublished: isPublished !== undefined ? isPublished : true,
       updatedAt: Date.now()
     };
 
@@ -238,6 +277,7 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       updateData.imageUrl = `/uploads/graduates/${req.file.filename}`;
     }
 
+    const previousGraduate = await Graduate.findById(req.params.id).lean();
     const graduate = await Graduate.findByIdAndUpdate(
       req.params.id,
       updateData,
@@ -254,14 +294,16 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       return res.status(404).json({ message: 'Graduate not found' });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Graduate', before: previousGraduate, after: graduate });
+
     res.json(graduate);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating graduate', error: error.message });
+    sendError(res, error, 'Error updating graduate');
   }
 });
 
 // PATCH /api/graduates/:id/publish - Toggle publish status
-router.patch('/:id/publish', async (req, res) => {
+router.patch('/:id/publish', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const graduate = await Graduate.findById(req.params.id);
     
@@ -269,10 +311,17 @@ router.patch('/:id/publish', async (req, res) => {
       return res.status(404).json({ message: 'Graduate not found' });
     }
 
+    const previousGraduate = graduate.toObject();
     graduate.isPublished = !graduate.isPublished;
     graduate.updatedAt = Date.now();
     
     const updatedGraduate = await graduate.save();
+    await recordAudit(req, {
+      action: updatedGraduate.isPublished ? 'publish' : 'unpublish',
+      entityType: 'Graduate',
+      before: previousGraduate,
+      after: updatedGraduate
+    });
     const populatedGraduate = await Graduate.findById(updatedGraduate._id)
       .populate({
         path: 'previousGroup',
@@ -284,12 +333,12 @@ router.patch('/:id/publish', async (req, res) => {
 
     res.json(populatedGraduate);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating publish status', error: error.message });
+    sendError(res, error, 'Error updating publish status');
   }
 });
 
 // DELETE /api/graduates/:id - Delete graduate
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const graduate = await Graduate.findByIdAndDelete(req.params.id);
     
@@ -297,6 +346,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Graduate not found' });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'Graduate', before: graduate });
+
     // TODO: Delete associated image file if exists
     // if (graduate.imageUrl) {
     //   const imagePath = path.join(__dirname, '../', graduate.imageUrl);
@@ -307,7 +358,7 @@ router.delete('/:id', async (req, res) => {
 
     res.json({ message: 'Graduate deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting graduate', error: error.message });
+    sendError(res, error, 'Error deleting graduate');
   }
 });
 
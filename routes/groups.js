@@ -1,34 +1,86 @@
 import express from 'express';
 import Group from '../models/Group.js';
+import TestResult from '../models/TestResult.js';
 import Subject from '../models/Subject.js';
+import User from '../models/User.js';
+import { adminOnly, billingOnly, staffOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { groupBody, groupListQuery, scheduleBody } from '../validators/groups.js';
+import { leaderboardQuery, statisticsOverTimeQuery } from '../validators/testResults.js';
+import { buildLeaderboard, leaderboardFilter } from '../utils/leaderboard.js';
+import { statisticsOverTime } from '../utils/statistics.js';
+import { gradeSummaryOfTests, resolveGradingScale } from '../utils/grading.js';
+import Lesson from '../models/Lesson.js';
+import Student from '../models/Student.js';
+import { attendanceReportQuery } from '../validators/lessons.js';
+import { groupAttendanceReport } from '../utils/attendance.js';
+import { assertNoScheduleConflicts, weeklyTimetable } from '../utils/timetable.js';
+import Fee from '../models/Fee.js';
+import Payment from '../models/Payment.js';
+import Discount from '../models/Discount.js';
+import Enrollment from '../models/Enrollment.js';
+import Transfer from '../models/Transfer.js';
+import { debtorsQuery } from '../validators/billing.js';
+import { MAX_REPORT_MONTHS, addMonths, loadBalances, monthRange } from '../utils/billing.js';
+import { canManageGroup, groupForbidden } from '../utils/scope.js';
+import { sendError } from '../utils/errors.js';
 
 const router = express.Router();
 
+// Resolves the teacher account a group is linked to.
+// Returns undefined when none was sent, null when the id is not a teacher.
+const findTeacher = async (teacher) => {
+  if (!teacher) return undefined;
+  return User.findOne({ _id: teacher, role: 'teacher' });
+};
+
+// Counts of the records that refer to a group, leaving out the kinds with none
+const findGroupDependents = async (groupId) => {
+  const counts = await Promise.all([
+    ['students', Student.countDocuments({ group: groupId })],
+    ['enrollments', Enrollment.countDocuments({ group: groupId })],
+    ['testResults', TestResult.countDocuments({ group: groupId })],
+    ['lessons', Lesson.countDocuments({ group: groupId })],
+    ['fees', Fee.countDocuments({ group: groupId })],
+    ['discounts', Discount.countDocuments({ group: groupId })],
+    ['payments', Payment.countDocuments({ group: groupId })],
+    ['transfers', Transfer.countDocuments({ $or: [{ fromGroup: groupId }, { toGroup: groupId }] })]
+  ].map(async ([name, count]) => [name, await count]));
+  return Object.fromEntries(counts.filter(([, count]) => count > 0));
+};
+
 // GET /api/groups - Get all groups or groups by subject
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, validate({ query: groupListQuery }), async (req, res) => {
   try {
-    const { subjectId } = req.query;
+    const { subjectId, teacherId } = req.query;
     let query = {};
     
     if (subjectId) {
       query.subject = subjectId;
     }
 
+    if (teacherId) {
+      query.teacher = teacherId;
+    }
+
     const groups = await Group.find(query)
       .populate('subject', 'name teacherName')
+      .populate('teacher', 'username fullName')
       .sort({ createdAt: -1 });
     
     res.json(groups);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching groups', error: error.message });
+    sendError(res, error, 'Error fetching groups');
   }
 });
 
 // GET /api/groups/:id - Get group by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const group = await Group.findById(req.params.id)
-      .populate('subject', 'name teacherName');
+      .populate('subject', 'name teacherName')
+      .populate('teacher', 'username fullName');
     
     if (!group) {
       return res.status(404).json({ message: 'Group not found' });
@@ -36,18 +88,206 @@ router.get('/:id', async (req, res) => {
     
     res.json(group);
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching group', error: error.message });
+    sendError(res, error, 'Error fetching group');
   }
 });
 
-// POST /api/groups - Create new group
-router.post('/', async (req, res) => {
+// GET /api/groups/:id/leaderboard - Cumulative student ranking over a date range
+router.get('/:id/leaderboard', staffOnly, validate({ params: idParams, query: leaderboardQuery }), async (req, res) => {
   try {
-    const { name, teacherName, subject, description } = req.body;
-    
-    if (!name || !subject) {
-      return res.status(400).json({ message: 'Name and subject are required' });
+    const group = await Group.findById(req.params.id).select('name subject');
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!(await canManageGroup(req, group._id))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const testResults = await TestResult.find({ ...leaderboardFilter(req.query), group: group._id })
+      .select('group results testDate')
+      .sort({ testDate: 1 })
+      .lean();
+
+    res.json({
+      group,
+      testsCount: testResults.length,
+      leaderboard: await buildLeaderboard(testResults, { minTests: req.query.minTests })
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching group leaderboard');
+  }
+});
+
+// GET /api/groups/:id/statistics - Score distribution of a group's tests, per test and per period
+router.get('/:id/statistics', staffOnly, validate({ params: idParams, query: statisticsOverTimeQuery }), async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id).select('name subject');
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!(await canManageGroup(req, group._id))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const [subject, testResults] = await Promise.all([
+      Subject.findById(group.subject).select('gradingScale').lean(),
+      TestResult.find({ ...leaderboardFilter(req.query), group: group._id })
+        .select('group testName testDate results gradingScale')
+        .sort({ testDate: 1 })
+        .lean()
+    ]);
+
+    // The pass mark defaults to the one of the subject's grading scale
+    const passMark = req.query.passMark ?? resolveGradingScale(null, subject).passMark;
+
+    res.json({
+      group,
+      ...statisticsOverTime(testResults, { ...req.query, passMark }),
+      grades: gradeSummaryOfTests(testResults, subject)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching group statistics');
+  }
+});
+
+// GET /api/groups/:id/attendance - Attendance rates of a group: overall, per student and per month
+router.get('/:id/attendance', staffOnly, validate({ params: idParams, query: attendanceReportQuery }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const group = await Group.findById(req.params.id).select('name subject');
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    if (!(await canManageGroup(req, group._id))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    let query = { group: group._id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const lessons = await Lesson.find(query).select('date attendance').sort({ date: 1 }).lean();
+    const studentIds = [...new Set(lessons.flatMap(lesson => lesson.attendance.map(mark => String(mark.student))))];
+    const students = await Student.find({ _id: { $in: studentIds } }).select('firstName lastName').lean();
+
+    res.json({
+      group,
+      ...groupAttendanceReport(lessons, new Map(students.map(student => [String(student._id), student])))
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching group attendance');
+  }
+});
+
+// GET /api/groups/:id/debtors - Students of a group who owe fees for any month up to `month`
+router.get('/:id/debtors', billingOnly, validate({ params: idParams, query: debtorsQuery }), async (req, res) => {
+  try {
+    const { month } = req.query;
+
+    const group = await Group.findById(req.params.id).select('name subject');
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // Nothing is owed before the group's first fee; very old debts are left out
+    const firstFee = await Fee.findOne({ group: group._id, effectiveFrom: { $lte: month } }).sort({ effectiveFrom: 1 }).lean();
+    if (!firstFee) {
+      return res.json({ group, month, debtors: [], totalDebt: 0 });
     }
+    const earliest = addMonths(month, 1 - MAX_REPORT_MONTHS);
+    const months = monthRange(firstFee.effectiveFrom > earliest ? firstFee.effectiveFrom : earliest, month);
+
+    const balances = await loadBalances({ group: group._id }, months);
+
+    const byStudent = new Map();
+    for (const entry of balances) {
+      if (!byStudent.has(entry.student)) byStudent.set(entry.student, { debt: 0, months: [] });
+      const debtor = byStudent.get(entry.student);
+      debtor.debt += entry.balance;
+      if (entry.balance > 0) {
+        debtor.months.push({ month: entry.month, charged: entry.charged, paid: entry.paid, debt: entry.balance });
+      }
+    }
+
+    // Credit paid in advance for one month offsets debt of another
+    const debtorIds = [...byStudent].filter(([, debtor]) => debtor.debt > 0).map(([studentId]) => studentId);
+    const students = await Student.find({ _id: { $in: debtorIds } }).select('firstName lastName parentContact isActive').lean();
+
+    const debtors = students
+      .map(student => ({ student, ...byStudent.get(String(student._id)) }))
+      .sort((a, b) => b.debt - a.debt);
+
+    res.json({
+      group,
+      month,
+      debtors,
+      totalDebt: debtors.reduce((sum, debtor) => sum + debtor.debt, 0)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching group debtors');
+  }
+});
+
+// GET /api/groups/:id/schedule - Weekly lesson slots of a group
+router.get('/:id/schedule', staffOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id)
+      .select('name subject teacher teacherName schedule')
+      .populate('subject', 'name')
+      .lean();
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.json({
+      group: { _id: group._id, name: group.name, subject: group.subject, teacher: group.teacher, teacherName: group.teacherName },
+      schedule: group.schedule,
+      timetable: weeklyTimetable([group])
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching group schedule');
+  }
+});
+
+// PUT /api/groups/:id/schedule - Replace the weekly lesson slots of a group
+router.put('/:id/schedule', adminOnly, validate({ params: idParams, body: scheduleBody }), async (req, res) => {
+  try {
+    const { slots } = req.body;
+
+    const group = await Group.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    await assertNoScheduleConflicts({ groupId: group._id, teacher: group.teacher, slots });
+
+    const before = group.toObject();
+    group.schedule = slots.map(({ dayOfWeek, startTime, endTime, room }) => ({
+      dayOfWeek,
+      startTime,
+      endTime,
+      room: room?.trim()
+    }));
+    await group.save();
+    await recordAudit(req, { action: 'update', entityType: 'Group', before, after: group });
+
+    res.json({ schedule: group.schedule, timetable: weeklyTimetable([group]) });
+  } catch (error) {
+    sendError(res, error, 'Error updating group schedule');
+  }
+});
+
+// POST /api/groups - Create new group
+router.post('/', adminOnly, validate({ body: groupBody }), async (req, res) => {
+  try {
+    const { name, teacherName, teacher, subject, description } = req.body;
 
     // Verify subject exists
     const subjectExists = await Subject.findById(subject);
@@ -55,37 +295,42 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Subject not found' });
     }
 
+    // Verify teacher account if provided
+    const teacherUser = await findTeacher(teacher);
+    if (teacherUser === null) {
+      return res.status(400).json({ message: 'Teacher account not found' });
+    }
+
     // Check if group name already exists for this subject
     const existingGroup = await Group.findOne({ name: name.trim(), subject });
     if (existingGroup) {
-      return res.status(400).json({ message: 'Group with this name already exists for this subject' });
+      return res.status(409).json({ message: 'Group with this name already exists for this subject', code: 'DUPLICATE_KEY' });
     }
 
     const group = new Group({
       name: name.trim(),
-      teacherName: teacherName?.trim(),
+      teacherName: teacherName?.trim() || teacherUser?.fullName || teacherUser?.username,
+      teacher: teacherUser?._id,
       subject,
       description: description?.trim()
     });
 
     const savedGroup = await group.save();
+    await recordAudit(req, { action: 'create', entityType: 'Group', after: savedGroup });
     const populatedGroup = await Group.findById(savedGroup._id)
-      .populate('subject', 'name teacherName');
+      .populate('subject', 'name teacherName')
+      .populate('teacher', 'username fullName');
     
     res.status(201).json(populatedGroup);
   } catch (error) {
-    res.status(500).json({ message: 'Error creating group', error: error.message });
+    sendError(res, error, 'Error creating group');
   }
 });
 
 // PUT /api/groups/:id - Update group
-router.put('/:id', async (req, res) => {
+router.put('/:id', adminOnly, validate({ params: idParams, body: groupBody }), async (req, res) => {
   try {
-    const { name, teacherName, subject, description } = req.body;
-    
-    if (!name || !subject) {
-      return res.status(400).json({ message: 'Name and subject are required' });
-    }
+    const { name, teacherName, teacher, subject, description } = req.body;
 
     // Verify subject exists
     const subjectExists = await Subject.findById(subject);
@@ -93,6 +338,12 @@ router.put('/:id', async (req, res) => {
       return res.status(400).json({ message: 'Subject not found' });
     }
 
+    // Verify teacher account if provided
+    const teacherUser = await findTeacher(teacher);
+    if (teacherUser === null) {
+      return res.status(400).json({ message: 'Teacher account not found' });
+    }
+
     // Check if another group with the same name exists for this subject
     const existingGroup = await Group.findOne({ 
       name: name.trim(), 
@@ -100,43 +351,76 @@ router.put('/:id', async (req, res) => {
       _id: { $ne: req.params.id } 
     });
     if (existingGroup) {
-      return res.status(400).json({ message: 'Group with this name already exists for this subject' });
+      return res.status(409).json({ message: 'Group with this name already exists for this subject', code: 'DUPLICATE_KEY' });
+    }
+
+    const previousGroup = await Group.findById(req.params.id).lean();
+
+    // A new teacher must be free at the group's lesson times
+    if (previousGroup?.schedule?.length && teacherUser && String(previousGroup.teacher) !== String(teacherUser._id)) {
+      await assertNoScheduleConflicts({ groupId: previousGroup._id, teacher: teacherUser._id, slots: previousGroup.schedule });
     }
 
     const group = await Group.findByIdAndUpdate(
       req.params.id,
       {
         name: name.trim(),
-        teacherName: teacherName?.trim(),
+        teacherName: teacherName?.trim() || teacherUser?.fullName || teacherUser?.username,
+        teacher: teacherUser?._id || null,
         subject,
         description: description?.trim(),
         updatedAt: Date.now()
       },
       { new: true, runValidators: true }
-    ).populate('subject', 'name teacherName');
+    ).populate('subject', 'name teacherName')
+      .populate('teacher', 'username fullName');
 
     if (!group) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Group', before: previousGroup, after: group });
+
+    // Keep the subject copied onto test results in sync
+    if (previousGroup && previousGroup.subject.toString() !== subject) {
+      await TestResult.updateMany({ group: group._id }, { subject });
+    }
+
     res.json(group);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating group', error: error.message });
+    sendError(res, error, 'Error updating group');
   }
 });
 
 // DELETE /api/groups/:id - Delete group
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
   try {
+    const groupExists = await Group.exists({ _id: req.params.id });
+    if (!groupExists) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    // A group that students, results, lessons or billing still refer to cannot be deleted
+    const dependents = await findGroupDependents(req.params.id);
+    if (Object.keys(dependents).length > 0) {
+      return res.status(409).json({
+        message: 'Group still has students, test results, lessons or payments and cannot be deleted',
+        code: 'GROUP_IN_USE',
+        dependents
+      });
+    }
+
     const group = await Group.findByIdAndDelete(req.params.id);
     
     if (!group) {
       return res.status(404).json({ message: 'Group not found' });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'Group', before: group });
+
     res.json({ message: 'Group deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting group', error: error.message });
+    sendError(res, error, 'Error deleting group');
   }
 });
 
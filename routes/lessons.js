@@ -0,0 +1,202 @@
+import express from 'express';
+import Lesson from '../models/Lesson.js';
+import Group from '../models/Group.js';
+import { staffOnly } from '../middleware/auth.js';
+import { canManageGroup, groupForbidden } from '../utils/scope.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate } from '../middleware/validate.js';
+import {
+  attendanceBody,
+  lessonBody,
+  lessonGroupParams,
+  lessonListQuery,
+  lessonParams,
+  lessonUpdateBody
+} from '../validators/lessons.js';
+import { buildAttendance, summarizeMarks } from '../utils/attendance.js';
+import { sendError } from '../utils/errors.js';
+
+// Lessons of one group and their attendance, mounted at /api/groups/:groupId/lessons
+const router = express.Router({ mergeParams: true });
+
+// Answers 404/403 and resolves to null unless the group exists and the caller manages it
+const findManagedGroup = async (req, res) => {
+  const group = await Group.findById(req.params.groupId).select('name');
+  if (!group) {
+    res.status(404).json({ message: 'Group not found' });
+    return null;
+  }
+  if (!(await canManageGroup(req, group._id))) {
+    res.status(403).json(groupForbidden);
+    return null;
+  }
+  return group;
+};
+
+const populateLesson = (query) => query.populate('attendance.student', 'firstName lastName');
+
+// Lesson with its attendance summary
+const withSummary = (lesson) => ({ ...lesson.toJSON(), summary: summarizeMarks(lesson.attendance) });
+
+// GET /api/groups/:groupId/lessons - Get a group's lessons, newest first
+router.get('/', staffOnly, validate({ params: lessonGroupParams, query: lessonListQuery }), async (req, res) => {
+  try {
+    const { from, to, page = 1, limit = 10 } = req.query;
+
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    let query = { group: group._id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    const pageNumber = parseInt(page);
+    const limitNumber = parseInt(limit);
+    const skip = (pageNumber - 1) * limitNumber;
+
+    const [lessons, total] = await Promise.all([
+      populateLesson(Lesson.find(query))
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      Lesson.countDocuments(query)
+    ]);
+
+    res.json({
+      data: lessons.map(withSummary),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(total / limitNumber),
+        totalItems: total,
+        itemsPerPage: limitNumber,
+        hasNextPage: pageNumber < Math.ceil(total / limitNumber),
+        hasPrevPage: pageNumber > 1
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching lessons');
+  }
+});
+
+// GET /api/groups/:groupId/lessons/:lessonId - Get one lesson with its attendance
+router.get('/:lessonId', staffOnly, validate({ params: lessonParams }), async (req, res) => {
+  try {
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    const lesson = await populateLesson(Lesson.findOne({ _id: req.params.lessonId, group: group._id }));
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    res.json(withSummary(lesson));
+  } catch (error) {
+    sendError(res, error, 'Error fetching lesson');
+  }
+});
+
+// POST /api/groups/:groupId/lessons - Create a lesson, optionally marking attendance.
+// defaultStatus (e.g. "present") marks every enrolled student not listed in marks.
+router.post('/', staffOnly, validate({ params: lessonGroupParams, body: lessonBody }), async (req, res) => {
+  try {
+    const { date, topic, notes, marks, defaultStatus } = req.body;
+
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    const lesson = new Lesson({
+      group: group._id,
+      date,
+      topic: topic?.trim(),
+      notes: notes?.trim(),
+      attendance: await buildAttendance({ group: group._id, date, marks, defaultStatus })
+    });
+
+    const savedLesson = await lesson.save();
+    await recordAudit(req, { action: 'create', entityType: 'Lesson', after: savedLesson });
+
+    res.status(201).json(withSummary(await populateLesson(Lesson.findById(savedLesson._id))));
+  } catch (error) {
+    sendError(res, error, 'Error creating lesson');
+  }
+});
+
+// PUT /api/groups/:groupId/lessons/:lessonId - Update a lesson's date, topic and notes
+router.put('/:lessonId', staffOnly, validate({ params: lessonParams, body: lessonUpdateBody }), async (req, res) => {
+  try {
+    const { date, topic, notes } = req.body;
+
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    const previousLesson = await Lesson.findOne({ _id: req.params.lessonId, group: group._id }).lean();
+    if (!previousLesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    // Every marked student must also have been enrolled on the new date
+    if (date.getTime() !== previousLesson.date.getTime()) {
+      await buildAttendance({ group: group._id, date, marks: previousLesson.attendance, field: 'attendance' });
+    }
+
+    const lesson = await populateLesson(Lesson.findByIdAndUpdate(
+      previousLesson._id,
+      { date, topic: topic?.trim(), notes: notes?.trim(), updatedAt: Date.now() },
+      { new: true, runValidators: true }
+    ));
+
+    await recordAudit(req, { action: 'update', entityType: 'Lesson', before: previousLesson, after: lesson });
+
+    res.json(withSummary(lesson));
+  } catch (error) {
+    sendError(res, error, 'Error updating lesson');
+  }
+});
+
+// PUT /api/groups/:groupId/lessons/:lessonId/attendance - Replace a lesson's attendance marks in bulk
+router.put('/:lessonId/attendance', staffOnly, validate({ params: lessonParams, body: attendanceBody }), async (req, res) => {
+  try {
+    const { marks, defaultStatus } = req.body;
+
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    const lesson = await Lesson.findOne({ _id: req.params.lessonId, group: group._id });
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    const previousLesson = lesson.toObject();
+    lesson.attendance = await buildAttendance({ group: group._id, date: lesson.date, marks, defaultStatus });
+    await lesson.save();
+    await recordAudit(req, { action: 'update', entityType: 'Lesson', before: previousLesson, after: lesson });
+
+    res.json(withSummary(await populateLesson(Lesson.findById(lesson._id))));
+  } catch (error) {
+    sendError(res, error, 'Error saving attendance');
+  }
+});
+
+// DELETE /api/groups/:groupId/lessons/:lessonId - Delete a lesson and its attendance
+router.delete('/:lessonId', staffOnly, validate({ params: lessonParams }), async (req, res) => {
+  try {
+    const group = await findManagedGroup(req, res);
+    if (!group) return;
+
+    const lesson = await Lesson.findOneAndDelete({ _id: req.params.lessonId, group: group._id });
+    if (!lesson) {
+      return res.status(404).json({ message: 'Lesson not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'Lesson', before: lesson });
+
+    res.json({ message: 'Lesson deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting lesson');
+  }
+});
+
+export default router;
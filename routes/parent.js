@@ -0,0 +1,129 @@
+import express from 'express';
+import Student from '../models/Student.js';
+import TestResult from '../models/TestResult.js';
+import Achievement from '../models/Achievement.js';
+import { parentAuth } from '../middleware/auth.js';
+import { parentLoginLimiter } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import { parentLoginBody } from '../validators/auth.js';
+import { signParentToken } from '../utils/tokens.js';
+import { sendError } from '../utils/errors.js';
+import { entryPercentage } from '../utils/scores.js';
+import { gradeFor, loadSubjectScales, scaleOf } from '../utils/grading.js';
+import Lesson from '../models/Lesson.js';
+import { studentAttendanceReport } from '../utils/attendance.js';
+
+// Parent portal: a parent signs in with their child's access code and can only
+// ever read that one child's data.
+const router = express.Router();
+
+// POST /api/parent/login - Exchange a student access code for a parent token
+router.post('/login', parentLoginLimiter, validate({ body: parentLoginBody }), async (req, res) => {
+  try {
+    const student = await Student.findByParentAccessCode(req.body.code);
+    if (!student) {
+      return res.status(401).json({ message: 'Invalid access code' });
+    }
+
+    res.json({
+      token: signParentToken(student),
+      student: { _id: student._id, firstName: student.firstName, lastName: student.lastName }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error logging in');
+  }
+});
+
+// GET /api/parent/child - Get the child's profile
+router.get('/child', parentAuth, async (req, res) => {
+  try {
+    const student = await Student.findById(req.parent.studentId)
+      .select('firstName lastName school grade group imageUrl')
+      .populate({
+        path: 'group',
+        select: 'name teacherName subject',
+        populate: { path: 'subject', select: 'name' }
+      });
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    res.json(student);
+  } catch (error) {
+    sendError(res, error, 'Error fetching student');
+  }
+});
+
+// GET /api/parent/results - Get the child's published test results.
+// Only the child's own entry of each test is returned, plus the group average.
+router.get('/results', parentAuth, async (req, res) => {
+  try {
+    const testResults = await TestResult.find(
+      { isPublished: true, 'results.student': req.parent.studentId },
+      { group: 1, subject: 1, testName: 1, testDate: 1, sections: 1, gradingScale: 1, averageScore: 1, totalStudents: 1, 'results.$': 1 }
+    )
+      .populate({
+        path: 'group',
+        select: 'name subject',
+        populate: { path: 'subject', select: 'name' }
+      })
+      .sort({ testDate: -1 })
+      .lean();
+
+    const subjectsById = await loadSubjectScales(testResults);
+
+    res.json(testResults.map(testResult => {
+      const [entry] = testResult.results;
+      return {
+        _id: testResult._id,
+        testName: testResult.testName,
+        testDate: testResult.testDate,
+        group: testResult.group,
+        score: entry.score,
+        maxScore: entry.maxScore,
+        percentage: entry.percentage,
+        ...gradeFor(entryPercentage(entry), scaleOf(testResult, subjectsById)),
+        sections: testResult.sections?.length ? testResult.sections : undefined,
+        sectionScores: testResult.sections?.length ? entry.sectionScores : undefined,
+        notes: entry.notes,
+        groupAverage: testResult.averageScore,
+        totalStudents: testResult.totalStudents
+      };
+    }));
+  } catch (error) {
+    sendError(res, error, 'Error fetching test results');
+  }
+});
+
+// GET /api/parent/attendance - Get the child's attendance, without other students' marks
+router.get('/attendance', parentAuth, async (req, res) => {
+  try {
+    const lessons = await Lesson.find(
+      { 'attendance.student': req.parent.studentId },
+      { group: 1, date: 1, topic: 1, 'attendance.$': 1 }
+    )
+      .populate('group', 'name')
+      .sort({ date: 1 })
+      .lean();
+
+    res.json(studentAttendanceReport(lessons, req.parent.studentId));
+  } catch (error) {
+    sendError(res, error, 'Error fetching attendance');
+  }
+});
+
+// GET /api/parent/achievements - Get the child's published achievements
+router.get('/achievements', parentAuth, async (req, res) => {
+  try {
+    const achievements = await Achievement.find({ student: req.parent.studentId, isPublished: true })
+      .select('achievementType title level description imageUrl achievementDate organization')
+      .sort({ achievementDate: -1 });
+
+    res.json(achievements);
+  } catch (error) {
+    sendError(res, error, 'Error fetching achievements');
+  }
+});
+
+export default router;
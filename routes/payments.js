@@ -0,0 +1,231 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Payment from '../models/Payment.js';
+import Enrollment from '../models/Enrollment.js';
+import { adminOnly, billingOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { paymentBody, paymentListQuery, revenueQuery } from '../validators/billing.js';
+import { loadBalances, monthBounds, monthRange, totalBalance } from '../utils/billing.js';
+import { sendError } from '../utils/errors.js';
+
+// Tuition payments and the monthly revenue summary
+const router = express.Router();
+
+const populatePayment = (query) => query
+  .populate('student', 'firstName lastName')
+  .populate('group', 'name')
+  .populate('recordedBy', 'username fullName');
+
+// Payments can only be recorded for a group the student is or was enrolled in
+const isEnrolled = (student, group) => Enrollment.exists({ student, group });
+
+// GET /api/payments - List payments with filters and pagination
+router.get('/', billingOnly, validate({ query: paymentListQuery }), async (req, res) => {
+  try {
+    const { studentId, groupId, month, method, from, to, page, limit } = req.query;
+    let query = {};
+
+    if (studentId) {
+      query.student = studentId;
+    }
+
+    if (groupId) {
+      query.group = groupId;
+    }
+
+    if (month) {
+      query.month = month;
+    }
+
+    if (method) {
+      query.method = method;
+    }
+
+    if (from || to) {
+      query.paidAt = {};
+      if (from) query.paidAt.$gte = from;
+      if (to) query.paidAt.$lte = to;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [payments, total] = await Promise.all([
+      populatePayment(Payment.find(query))
+        .sort({ paidAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Payment.countDocuments(query)
+    ]);
+
+    res.json({
+      data: payments,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching payments');
+  }
+});
+
+// GET /api/payments/revenue - Monthly revenue: money collected, amounts billed and what is still owed
+router.get('/revenue', billingOnly, validate({ query: revenueQuery }), async (req, res) => {
+  try {
+    const { from, to, groupId } = req.query;
+    const months = monthRange(from, to);
+    const condition = groupId ? { group: groupId } : {};
+
+    const [collected, balances] = await Promise.all([
+      Payment.aggregate([
+        {
+          $match: {
+            ...(groupId && { group: new mongoose.Types.ObjectId(groupId) }),
+            paidAt: { $gte: monthBounds(from).start, $lt: monthBounds(to).end }
+          }
+        },
+        {
+          $group: {
+            _id: { month: { $dateToString: { format: '%Y-%m', date: '$paidAt' } }, method: '$method' },
+            amount: { $sum: '$amount' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      loadBalances(condition, months)
+    ]);
+
+    const report = months.map(month => {
+      const billed = totalBalance(balances.filter(entry => entry.month === month));
+      const byMethod = collected
+        .filter(row => row._id.month === month)
+        .map(row => ({ method: row._id.method, amount: row.amount, count: row.count }))
+        .sort((a, b) => b.amount - a.amount);
+
+      return {
+        month,
+        collected: byMethod.reduce((sum, row) => sum + row.amount, 0), // Received during the month
+        payments: byMethod.reduce((sum, row) => sum + row.count, 0),
+        byMethod,
+        billed: billed.charged, // Charged for the month
+        paidForMonth: billed.paid,
+        outstanding: billed.balance
+      };
+    });
+
+    res.json({
+      from,
+      to,
+      months: report,
+      totals: {
+        collected: report.reduce((sum, row) => sum + row.collected, 0),
+        billed: report.reduce((sum, row) => sum + row.billed, 0),
+        paidForMonth: report.reduce((sum, row) => sum + row.paidForMonth, 0),
+        outstanding: report.reduce((sum, row) => sum + row.outstanding, 0)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching revenue summary');
+  }
+});
+
+// GET /api/payments/:id - Get a payment
+router.get('/:id', billingOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const payment = await populatePayment(Payment.findById(req.params.id));
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    res.json(payment);
+  } catch (error) {
+    sendError(res, error, 'Error fetching payment');
+  }
+});
+
+// POST /api/payments - Record a payment
+router.post('/', billingOnly, validate({ body: paymentBody }), async (req, res) => {
+  try {
+    const { student, group, month, amount, paidAt, method, receiptNumber, notes } = req.body;
+
+    if (!(await isEnrolled(student, group))) {
+      return res.status(400).json({ message: 'Student is not enrolled in this group' });
+    }
+
+    const payment = await new Payment({
+      student,
+      group,
+      month,
+      amount,
+      paidAt,
+      method,
+      receiptNumber: receiptNumber?.trim(),
+      notes: notes?.trim(),
+      recordedBy: req.user.id
+    }).save();
+    await recordAudit(req, { action: 'create', entityType: 'Payment', after: payment });
+
+    res.status(201).json(await populatePayment(Payment.findById(payment._id)));
+  } catch (error) {
+    sendError(res, error, 'Error recording payment');
+  }
+});
+
+// PUT /api/payments/:id - Correct a payment
+router.put('/:id', billingOnly, validate({ params: idParams, body: paymentBody }), async (req, res) => {
+  try {
+    const { student, group, month, amount, paidAt, method, receiptNumber, notes } = req.body;
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (!(await isEnrolled(student, group))) {
+      return res.status(400).json({ message: 'Student is not enrolled in this group' });
+    }
+
+    const before = payment.toObject();
+    payment.set({
+      student,
+      group,
+      month,
+      amount,
+      paidAt: paidAt ?? payment.paidAt,
+      method,
+      receiptNumber: receiptNumber?.trim(),
+      notes: notes?.trim()
+    });
+    await payment.save();
+    await recordAudit(req, { action: 'update', entityType: 'Payment', before, after: payment });
+
+    res.json(await populatePayment(Payment.findById(payment._id)));
+  } catch (error) {
+    sendError(res, error, 'Error updating payment');
+  }
+});
+
+// DELETE /api/payments/:id - Delete a payment recorded by mistake
+router.delete('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const payment = await Payment.findByIdAndDelete(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    await recordAudit(req, { action: 'delete', entityType: 'Payment', before: payment });
+
+    res.json({ message: 'Payment deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting payment');
+  }
+});
+
+export default router;
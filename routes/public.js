@@ -0,0 +1,260 @@
+import express from 'express';
+import Subject from '../models/Subject.js';
+import Group from '../models/Group.js';
+import Student from '../models/Student.js';
+import TestResult from '../models/TestResult.js';
+import Achievement from '../models/Achievement.js';
+import Graduate from '../models/Graduate.js';
+import { validate, idParams, paginationQuery } from '../middleware/validate.js';
+import { publicGroupQuery, publicListQuery, publicGraduateQuery } from '../validators/public.js';
+import { containsInsensitive } from '../utils/regex.js';
+import { sendError } from '../utils/errors.js';
+import { withGrades } from '../utils/grading.js';
+import { groupCalendar } from '../utils/ical.js';
+
+// Read-only API for the public website. Only published records are returned,
+// and every response is limited to a whitelist of fields that are safe to show.
+const router = express.Router();
+
+const PUBLIC_SUBJECT_FIELDS = 'name teacherName description';
+const PUBLIC_GROUP_FIELDS = 'name teacherName subject description';
+const PUBLIC_STUDENT_FIELDS = 'firstName lastName imageUrl group';
+const PUBLIC_TEST_RESULT_FIELDS = 'group testName testDate averageScore totalStudents description '
+  + 'sections gradingScale results.student results.score results.maxScore results.percentage results.sectionScores';
+const PUBLIC_ACHIEVEMENT_FIELDS = 'studentName age school achievementType title level description imageUrl achievementDate organization';
+const PUBLIC_GRADUATE_FIELDS = 'firstName lastName imageUrl admissionType field university admissionYear previousGroup graduationYear finalScore';
+
+const groupPopulate = {
+  path: 'group',
+  select: 'name subject',
+  populate: { path: 'subject', select: 'name' }
+};
+
+const paginationInfo = (pageNumber, limitNumber, total) => ({
+  currentPage: pageNumber,
+  totalPages: Math.ceil(total / limitNumber),
+  totalItems: total,
+  itemsPerPage: limitNumber,
+  hasNextPage: pageNumber < Math.ceil(total / limitNumber),
+  hasPrevPage: pageNumber > 1
+});
+
+const getPaging = (query) => {
+  const pageNumber = query.page;
+  const limitNumber = query.limit;
+  return { pageNumber, limitNumber, skip: (pageNumber - 1) * limitNumber };
+};
+
+// GET /api/public/subjects - List subjects
+router.get('/subjects', async (req, res) => {
+  try {
+    const subjects = await Subject.find()
+      .select(PUBLIC_SUBJECT_FIELDS)
+      .sort({ name: 1 });
+
+    res.json(subjects);
+  } catch (error) {
+    sendError(res, error, 'Error fetching subjects');
+  }
+});
+
+// GET /api/public/groups - List groups, optionally by subject
+router.get('/groups', validate({ query: publicGroupQuery }), async (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    let query = {};
+
+    if (subjectId) {
+      query.subject = subjectId;
+    }
+
+    const groups = await Group.find(query)
+      .select(PUBLIC_GROUP_FIELDS)
+      .populate('subject', 'name')
+      .sort({ name: 1 });
+
+    res.json(groups);
+  } catch (error) {
+    sendError(res, error, 'Error fetching groups');
+  }
+});
+
+// GET /api/public/groups/:id/schedule.ics - iCalendar feed of a group's weekly lessons
+router.get('/groups/:id/schedule.ics', validate({ params: idParams }), async (req, res) => {
+  try {
+    const group = await Group.findById(req.params.id)
+      .select('name teacherName schedule createdAt')
+      .populate('subject', 'name')
+      .lean();
+
+    if (!group) {
+      return res.status(404).json({ message: 'Group not found' });
+    }
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="group-${group._id}.ics"`);
+    res.send(groupCalendar(group, { host: req.hostname }));
+  } catch (error) {
+    sendError(res, error, 'Error fetching group schedule');
+  }
+});
+
+// GET /api/public/students - List active students without contact details or notes
+router.get('/students', validate({ query: publicListQuery }), async (req, res) => {
+  try {
+    const { groupId } = req.query;
+    const { pageNumber, limitNumber, skip } = getPaging(req.query);
+    let query = { isActive: true };
+
+    if (groupId) {
+      query.group = groupId;
+    }
+
+    const [students, total] = await Promise.all([
+      Student.find(query)
+        .select(PUBLIC_STUDENT_FIELDS)
+        .populate(groupPopulate)
+        .sort({ lastName: 1, firstName: 1 })
+        .skip(skip)
+        .limit(limitNumber),
+      Student.countDocuments(query)
+    ]);
+
+    res.json({ data: students, pagination: paginationInfo(pageNumber, limitNumber, total) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching students');
+  }
+});
+
+// GET /api/public/test-results - List published test results
+router.get('/test-results', validate({ query: publicListQuery }), async (req, res) => {
+  try {
+    const { groupId } = req.query;
+    const { pageNumber, limitNumber, skip } = getPaging(req.query);
+    let query = { isPublished: true };
+
+    if (groupId) {
+      query.group = groupId;
+    }
+
+    const [testResults, total] = await Promise.all([
+      TestResult.find(query)
+        .select(PUBLIC_TEST_RESULT_FIELDS)
+        .populate(groupPopulate)
+        .populate('results.student', 'firstName lastName')
+        .sort({ testDate: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      TestResult.countDocuments(query)
+    ]);
+
+    res.json({ data: await withGrades(testResults), pagination: paginationInfo(pageNumber, limitNumber, total) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching test results');
+  }
+});
+
+// GET /api/public/test-results/:id - Get a published test result
+router.get('/test-results/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const testResult = await TestResult.findOne({ _id: req.params.id, isPublished: true })
+      .select(PUBLIC_TEST_RESULT_FIELDS)
+      .populate(groupPopulate)
+      .populate('results.student', 'firstName lastName');
+
+    if (!testResult) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+
+    res.json(await withGrades(testResult));
+  } catch (error) {
+    sendError(res, error, 'Error fetching test result');
+  }
+});
+
+// GET /api/public/achievements - List published achievements
+router.get('/achievements', validate({ query: paginationQuery }), async (req, res) => {
+  try {
+    const { pageNumber, limitNumber, skip } = getPaging(req.query);
+    const query = { isPublished: true };
+
+    const [achievements, total] = await Promise.all([
+      Achievement.find(query)
+        .select(PUBLIC_ACHIEVEMENT_FIELDS)
+        .sort({ achievementDate: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      Achievement.countDocuments(query)
+    ]);
+
+    res.json({ data: achievements, pagination: paginationInfo(pageNumber, limitNumber, total) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching achievements');
+  }
+});
+
+// GET /api/public/achievements/:id - Get a published achievement
+router.get('/achievements/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const achievement = await Achievement.findOne({ _id: req.params.id, isPublished: true })
+      .select(PUBLIC_ACHIEVEMENT_FIELDS);
+
+    if (!achievement) {
+      return res.status(404).json({ message: 'Achievement not found' });
+    }
+
+    res.json(achievement);
+  } catch (error) {
+    sendError(res, error, 'Error fetching achievement');
+  }
+});
+
+// GET /api/public/graduates - List published graduates
+router.get('/graduates', validate({ query: publicGraduateQuery }), async (req, res) => {
+  try {
+    const { admissionType, field } = req.query;
+    const { pageNumber, limitNumber, skip } = getPaging(req.query);
+    let query = { isPublished: true };
+
+    if (admissionType) {
+      query.admissionType = admissionType;
+    }
+
+    if (field) {
+      query.field = containsInsensitive(field);
+    }
+
+    const [graduates, total] = await Promise.all([
+      Graduate.find(query)
+        .select(PUBLIC_GRADUATE_FIELDS)
+        .populate({ ...groupPopulate, path: 'previousGroup' })
+        .sort({ admissionYear: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(limitNumber),
+      Graduate.countDocuments(query)
+    ]);
+
+    res.json({ data: graduates, pagination: paginationInfo(pageNumber, limitNumber, total) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching graduates');
+  }
+});
+
+// GET /api/public/graduates/:id - Get a published graduate
+router.get('/graduates/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    const graduate = await Graduate.findOne({ _id: req.params.id, isPublished: true })
+      .select(PUBLIC_GRADUATE_FIELDS)
+      .populate({ ...groupPopulate, path: 'previousGroup' });
+
+    if (!graduate) {
+      return res.status(404).json({ message: 'Graduate not found' });
+    }
+
+    res.json(graduate);
+  } catch (error) {
+    sendError(res, error, 'Error fetching graduate');
+  }
+});
+
+export default router;
@@ -5,6 +5,45 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import Student from '../models/Student.js';
 import Group from '../models/Group.js';
+import Enrollment from '../models/Enrollment.js';
+import TestResult from '../models/TestResult.js';
+import Transfer from '../models/Transfer.js';
+import { adminOnly, billingOnly, staffOnly } from '../middleware/auth.js';
+import { canManageGroup, canManageStudent, scopeGroupFilter, groupForbidden } from '../utils/scope.js';
+import {
+  cancelTransfer,
+  enrolledStudentIds,
+  enrollStudent,
+  endEnrollment,
+  reassignPrimaryGroup,
+  transferStudent,
+  withdrawStudent
+} from '../utils/enrollment.js';
+import Lesson from '../models/Lesson.js';
+import { attendanceReportQuery } from '../validators/lessons.js';
+import { studentAttendanceReport } from '../utils/attendance.js';
+import { monthRangeQuery } from '../validators/billing.js';
+import { loadBalances, monthRange, totalBalance } from '../utils/billing.js';
+import { recordAudit } from '../utils/audit.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { discardUploadOnError } from '../middleware/upload.js';
+import { validate, idParams } from '../middleware/validate.js';
+import {
+  enrollmentBody,
+  enrollmentEndBody,
+  enrollmentParams,
+  studentBody,
+  studentExportQuery,
+  studentListQuery,
+  studentResultsQuery,
+  studentUpdateBody,
+  transferBody,
+  transferParams
+} from '../validators/students.js';
+import { sendError, ApiError } from '../utils/errors.js';
+import { streamSpreadsheet, exportFilename } from '../utils/spreadsheet.js';
+import { gradeFor, loadSubjectScales, scaleOf } from '../utils/grading.js';
+import { round, entryPercentage, exactPercentage, average, rankBy, movingAverages, slope } from '../utils/scores.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -35,7 +74,7 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'));
+      cb(new ApiError(415, 'Only image files are allowed', 'UNSUPPORTED_FILE_TYPE'));
     }
   }
 });
@@ -47,15 +86,32 @@ if (!fs.existsSync(studentsDir)) {
   fs.mkdirSync(studentsDir, { recursive: true });
 }
 
+// Builds the database filter shared by the list and the export
+const buildStudentFilter = async (req) => {
+  let query = { isActive: true };
+
+  // Group membership comes from active enrollments, so a student shows up in
+  // every group they attend. Teachers only see students of their own groups.
+  const groupFilter = await scopeGroupFilter(req, req.query.groupId);
+  if (groupFilter) {
+    query._id = { $in: await enrolledStudentIds(groupFilter) };
+  }
+
+  return query;
+};
+
+// A student's transfers between groups, oldest first
+const transferTimeline = (studentId) => Transfer.find({ student: studentId })
+  .populate('fromGroup', 'name')
+  .populate('toGroup', 'name')
+  .populate('performedBy', 'username fullName')
+  .sort({ date: 1, createdAt: 1 });
+
 // GET /api/students - Get all students or students by group with pagination
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, validate({ query: studentListQuery }), async (req, res) => {
   try {
-    const { groupId, page = 1, limit = 10 } = req.query;
-    let query = { isActive: true };
-    
-    if (groupId) {
-      query.group = groupId;
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const query = await buildStudentFilter(req);
 
     const pageNumber = parseInt(page);
     const limitNumber = parseInt(limit);
@@ -88,12 +144,50 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching students', error: error.message });
+    sendError(res, error, 'Error fetching students');
+  }
+});
+
+// GET /api/students/export - Download the filtered students as CSV or XLSX
+router.get('/export', staffOnly, validate({ query: studentExportQuery }), async (req, res) => {
+  try {
+    const cursor = Student.find(await buildStudentFilter(req))
+      .populate({
+        path: 'group',
+        select: 'name subject',
+        populate: {
+          path: 'subject',
+          select: 'name'
+        }
+      })
+      .sort({ lastName: 1, firstName: 1 })
+      .lean()
+      .cursor();
+
+    await streamSpreadsheet(res, {
+      format: req.query.format,
+      filename: exportFilename('students'),
+      sheetName: 'Students',
+      columns: [
+        { header: 'First name', value: student => student.firstName },
+        { header: 'Last name', value: student => student.lastName },
+        { header: 'School', value: student => student.school, width: 24 },
+        { header: 'Grade', value: student => student.grade },
+        { header: 'Group', value: student => student.group?.name },
+        { header: 'Subject', value: student => student.group?.subject?.name },
+        { header: 'Parent contact', value: student => student.parentContact, width: 20 },
+        { header: 'Notes', value: student => student.notes, width: 32 },
+        { header: 'Created at', value: student => student.createdAt }
+      ],
+      rows: cursor
+    });
+  } catch (error) {
+    sendError(res, error, 'Error exporting students');
   }
 });
 
 // GET /api/students/:id - Get student by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const student = await Student.findById(req.params.id)
       .populate({
@@ -107,23 +201,179 @@ router.get('/:id', async (req, res) => {
     if (!student) {
       return res.status(404).json({ message: 'Student not found' });
     }
+
+    if (!(await canManageStudent(req, { _id: student._id, group: student.group?._id }))) {
+      return res.status(403).json(groupForbidden);
+    }
     
-    res.json(student);
+    res.json({ ...student.toJSON(), transfers: await transferTimeline(student._id) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching student');
+  }
+});
+
+// GET /api/students/:id/results - Get a student's test history with trend summary
+router.get('/:id/results', staffOnly, validate({ params: idParams, query: studentResultsQuery }), async (req, res) => {
+  try {
+    const { from, to, published, window } = req.query;
+
+    const student = await Student.findById(req.params.id).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    let query = { 'results.student': student._id };
+
+    if (published !== undefined) {
+      query.isPublished = published;
+    }
+
+    if (from || to) {
+      query.testDate = {};
+      if (from) query.testDate.$gte = from;
+      if (to) query.testDate.$lte = to;
+    }
+
+    const testResults = await TestResult.find(query)
+      .select('group subject testName testDate sections results averageScore totalStudents isPublished gradingScale')
+      .populate('group', 'name')
+      .sort({ testDate: 1, createdAt: 1 })
+      .lean();
+    const subjectsById = await loadSubjectScales(testResults);
+
+    const studentId = student._id.toString();
+    const history = testResults.map(testResult => {
+      const ranks = rankBy(testResult.results, entry => entry.student.toString(), exactPercentage);
+      const entry = testResult.results.find(result => result.student.toString() === studentId);
+      const percentage = entryPercentage(entry);
+      return {
+        testResultId: testResult._id,
+        testName: testResult.testName,
+        testDate: testResult.testDate,
+        group: testResult.group,
+        isPublished: testResult.isPublished,
+        score: entry.score,
+        maxScore: entry.maxScore,
+        percentage: round(percentage),
+        ...gradeFor(percentage, scaleOf(testResult, subjectsById)),
+        sections: testResult.sections?.length ? testResult.sections : undefined,
+        sectionScores: testResult.sections?.length ? entry.sectionScores : undefined,
+        groupRank: ranks.get(studentId),
+        groupSize: testResult.results.length,
+        groupAverage: testResult.averageScore !== undefined ? round(testResult.averageScore) : null
+      };
+    });
+
+    const percentages = history.map(item => item.percentage);
+    const moving = movingAverages(percentages, window);
+    history.forEach((item, index) => {
+      item.movingAverage = round(moving[index]);
+      item.changeFromPrevious = index > 0 ? round(item.percentage - history[index - 1].percentage) : null;
+    });
+
+    const latest = history[history.length - 1];
+    const trendSlope = slope(percentages);
+
+    res.json({
+      student: { _id: student._id, firstName: student.firstName, lastName: student.lastName },
+      results: history,
+      summary: {
+        testsTaken: history.length,
+        averagePercentage: history.length ? round(average(percentages)) : null,
+        bestPercentage: history.length ? Math.max(...percentages) : null,
+        worstPercentage: history.length ? Math.min(...percentages) : null,
+        latestPercentage: latest ? latest.percentage : null,
+        changeFromPrevious: latest ? latest.changeFromPrevious : null,
+        movingAverage: latest ? latest.movingAverage : null,
+        movingAverageWindow: window,
+        // Percentage points gained or lost per test, from a least-squares fit
+        slope: round(trendSlope),
+        trend: history.length < 2 ? 'insufficient-data' : trendSlope > 0.5 ? 'improving' : trendSlope < -0.5 ? 'declining' : 'stable'
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching student results');
+  }
+});
+
+// GET /api/students/:id/attendance - A student's attendance across their groups
+router.get('/:id/attendance', staffOnly, validate({ params: idParams, query: attendanceReportQuery }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const student = await Student.findById(req.params.id).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    let query = { 'attendance.student': student._id };
+    if (from || to) {
+      query.date = {};
+      if (from) query.date.$gte = from;
+      if (to) query.date.$lte = to;
+    }
+
+    // Only the student's own mark of each lesson is loaded
+    const lessons = await Lesson.find(query, { group: 1, date: 1, topic: 1, 'attendance.$': 1 })
+      .populate('group', 'name')
+      .sort({ date: 1 })
+      .lean();
+
+    res.json({
+      student: { _id: student._id, firstName: student.firstName, lastName: student.lastName },
+      ...studentAttendanceReport(lessons, student._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching student attendance');
+  }
+});
+
+// GET /api/students/:id/balance - Monthly charges, payments and debt of a student per group
+router.get('/:id/balance', billingOnly, validate({ params: idParams, query: monthRangeQuery }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const months = monthRange(from, to);
+
+    const student = await Student.findById(req.params.id).select('firstName lastName');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const balances = await loadBalances({ student: student._id }, months);
+    const groups = await Group.find({ _id: { $in: [...new Set(balances.map(entry => entry.group))] } }).select('name').lean();
+    const groupNames = new Map(groups.map(group => [String(group._id), group.name]));
+
+    res.json({
+      student,
+      from,
+      to,
+      months: balances.map(entry => ({
+        month: entry.month,
+        group: { _id: entry.group, name: groupNames.get(entry.group) },
+        fee: entry.fee,
+        charged: entry.charged,
+        paid: entry.paid,
+        balance: entry.balance
+      })),
+      totals: totalBalance(balances)
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching student', error: error.message });
+    sendError(res, error, 'Error fetching student balance');
   }
 });
 
 // POST /api/students - Create new student
-router.post('/', upload.single('image'), async (req, res) => {
+router.post('/', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ body: studentBody }), async (req, res) => {
   try {
     const { firstName, lastName, school, grade, group, parentContact, notes } = req.body;
-    
-    if (!firstName || !lastName || !school || !grade || !group) {
-      return res.status(400).json({ 
-        message: 'First name, last name, school, grade, and group are required' 
-      });
-    }
 
     // Verify group exists
     const groupExists = await Group.findById(group);
@@ -131,6 +381,10 @@ router.post('/', upload.single('image'), async (req, res) => {
       return res.status(400).json({ message: 'Group not found' });
     }
 
+    if (!(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
     // Handle image upload
     let imageUrl = null;
     if (req.file) {
@@ -149,6 +403,8 @@ router.post('/', upload.single('image'), async (req, res) => {
     });
 
     const savedStudent = await student.save();
+    await enrollStudent({ student: savedStudent._id, group });
+    await recordAudit(req, { action: 'create', entityType: 'Student', after: savedStudent });
     const populatedStudent = await Student.findById(savedStudent._id)
       .populate({
         path: 'group',
@@ -160,20 +416,14 @@ router.post('/', upload.single('image'), async (req, res) => {
     
     res.status(201).json(populatedStudent);
   } catch (error) {
-    res.status(500).json({ message: 'Error creating student', error: error.message });
+    sendError(res, error, 'Error creating student');
   }
 });
 
 // PUT /api/students/:id - Update student
-router.put('/:id', upload.single('image'), async (req, res) => {
+router.put('/:id', staffOnly, uploadLimiter, upload.single('image'), discardUploadOnError, validate({ params: idParams, body: studentUpdateBody }), async (req, res) => {
   try {
     const { firstName, lastName, school, grade, group, parentContact, notes, isActive } = req.body;
-    
-    if (!firstName || !lastName || !school || !grade || !group) {
-      return res.status(400).json({ 
-        message: 'First name, last name, school, grade, and group are required' 
-      });
-    }
 
     // Verify group exists
     const groupExists = await Group.findById(group);
@@ -181,6 +431,20 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       return res.status(400).json({ message: 'Group not found' });
     }
 
+    // Teachers may only edit their own students and only move them between their own groups
+    const existingStudent = await Student.findById(req.params.id).lean();
+    if (!existingStudent) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    if (!(await canManageStudent(req, existingStudent)) || !(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const groupChanged = String(existingStudent.group) !== String(group);
+    const transferable = groupChanged
+      && Boolean(await Enrollment.exists({ student: existingStudent._id, group: existingStudent.group, status: 'active', endDate: null }))
+      && !(await Enrollment.exists({ student: existingStudent._id, group, ...Enrollment.openAt() }));
+
     // Prepare update data
     const updateData = {
       firstName: firstName.trim(),
@@ -215,15 +479,38 @@ router.put('/:id', upload.single('image'), async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    // Moving the primary group is recorded as a transfer. Without an active enrollment
+    // to move from, or when the student already attends the new group, only the
+    // enrollments are adjusted. Deactivating withdraws the student from every group;
+    // reactivating enrolls them in their primary group again.
+    if (!student.isActive) {
+      await withdrawStudent(student._id);
+    } else if (transferable) {
+      await transferStudent({ student: student._id, fromGroup: existingStudent.group, toGroup: group, performedBy: req.user.id });
+    } else if (groupChanged || !existingStudent.isActive) {
+      if (groupChanged) await endEnrollment({ student: student._id, group: existingStudent.group });
+      await enrollStudent({ student: student._id, group });
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'Student', before: existingStudent, after: student });
+
     res.json(student);
   } catch (error) {
-    res.status(500).json({ message: 'Error updating student', error: error.message });
+    sendError(res, error, 'Error updating student');
   }
 });
 
 // DELETE /api/students/:id - Delete (deactivate) student
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
+    const existingStudent = await Student.findById(req.params.id).lean();
+    if (!existingStudent) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+    if (!(await canManageStudent(req, existingStudent))) {
+      return res.status(403).json(groupForbidden);
+    }
+
     const student = await Student.findByIdAndUpdate(
       req.params.id,
       { isActive: false, updatedAt: Date.now() },
@@ -234,14 +521,268 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    // A deactivated student is no longer charged fees or marked in lessons
+    await withdrawStudent(student._id);
+    await recordAudit(req, { action: 'deactivate', entityType: 'Student', before: existingStudent, after: student });
+
     res.json({ message: 'Student deactivated successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deactivating student', error: error.message });
+    sendError(res, error, 'Error deactivating student');
+  }
+});
+
+// POST /api/students/:id/parent-access - Generate a new parent portal access code
+// The plain code is only returned here; generating a new one invalidates the old code.
+router.post('/:id/parent-access', staffOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const student = await Student.findOne({ _id: req.params.id, isActive: true });
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const accessCode = student.generateParentAccessCode();
+    await student.save();
+    await recordAudit(req, { action: 'parent-access-grant', entityType: 'Student', before: student, after: student });
+
+    res.status(201).json({ accessCode, createdAt: student.parentAccess.createdAt });
+  } catch (error) {
+    sendError(res, error, 'Error generating parent access code');
+  }
+});
+
+// DELETE /api/students/:id/parent-access - Revoke parent portal access
+router.delete('/:id/parent-access', staffOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    student.parentAccess = undefined;
+    await student.save();
+    await recordAudit(req, { action: 'parent-access-revoke', entityType: 'Student', before: student, after: student });
+
+    res.json({ message: 'Parent access revoked' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking parent access');
+  }
+});
+
+// GET /api/students/:id/enrollments - Get a student's group enrollments, newest first
+router.get('/:id/enrollments', staffOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const enrollments = await Enrollment.find({ student: student._id })
+      .populate({
+        path: 'group',
+        select: 'name subject',
+        populate: { path: 'subject', select: 'name' }
+      })
+      .sort({ startDate: -1 });
+
+    res.json(enrollments);
+  } catch (error) {
+    sendError(res, error, 'Error fetching enrollments');
+  }
+});
+
+// POST /api/students/:id/enrollments - Enroll a student in another group
+router.post('/:id/enrollments', staffOnly, validate({ params: idParams, body: enrollmentBody }), async (req, res) => {
+  try {
+    const { group, startDate, notes } = req.body;
+
+    const student = await Student.findOne({ _id: req.params.id, isActive: true }).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const groupExists = await Group.findById(group);
+    if (!groupExists) {
+      return res.status(400).json({ message: 'Group not found' });
+    }
+
+    if (!(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const enrollment = await enrollStudent({ student: student._id, group, startDate, notes: notes?.trim() });
+    if (!enrollment) {
+      return res.status(409).json({ message: 'Student is already enrolled in this group', code: 'DUPLICATE_KEY' });
+    }
+
+    await recordAudit(req, { action: 'create', entityType: 'Enrollment', after: enrollment });
+
+    res.status(201).json(await enrollment.populate('group', 'name subject'));
+  } catch (error) {
+    sendError(res, error, 'Error creating enrollment');
+  }
+});
+
+// PATCH /api/students/:id/enrollments/:enrollmentId - End an active enrollment
+router.patch('/:id/enrollments/:enrollmentId', staffOnly, validate({ params: enrollmentParams, body: enrollmentEndBody }), async (req, res) => {
+  try {
+    const { status, notes } = req.body;
+    const endDate = req.body.endDate || new Date();
+
+    const enrollment = await Enrollment.findOne({ _id: req.params.enrollmentId, student: req.params.id });
+    if (!enrollment) {
+      return res.status(404).json({ message: 'Enrollment not found' });
+    }
+
+    if (!(await canManageGroup(req, enrollment.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    if (enrollment.hasEnded()) {
+      return res.status(409).json({ message: 'Enrollment has already ended', code: 'CONFLICT' });
+    }
+
+    if (endDate < enrollment.startDate) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: [{ location: 'body', field: 'endDate', message: 'must not be before the start date' }]
+      });
+    }
+
+    const previousEnrollment = enrollment.toObject();
+    enrollment.status = status;
+    enrollment.endDate = endDate;
+    if (notes !== undefined) enrollment.notes = notes.trim();
+    await enrollment.save();
+
+    // The primary group moves to another group the student still attends, or is cleared
+    const student = await Student.findById(req.params.id);
+    if (student) {
+      const before = student.toObject();
+      if (await reassignPrimaryGroup(student, enrollment.group)) {
+        await recordAudit(req, { action: 'update', entityType: 'Student', before, after: student });
+      }
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'Enrollment', before: previousEnrollment, after: enrollment });
+
+    res.json(await enrollment.populate('group', 'name subject'));
+  } catch (error) {
+    sendError(res, error, 'Error ending enrollment');
+  }
+});
+
+// GET /api/students/:id/transfers - A student's transfers between groups, oldest first
+router.get('/:id/transfers', staffOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.id).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    res.json(await transferTimeline(student._id));
+  } catch (error) {
+    sendError(res, error, 'Error fetching transfers');
+  }
+});
+
+// POST /api/students/:id/transfers - Move a student to another group
+router.post('/:id/transfers', staffOnly, validate({ params: idParams, body: transferBody }), async (req, res) => {
+  try {
+    const { toGroup, date, reason } = req.body;
+
+    const student = await Student.findOne({ _id: req.params.id, isActive: true });
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const fromGroup = req.body.fromGroup || student.group;
+
+    const groupExists = await Group.findById(toGroup);
+    if (!groupExists) {
+      return res.status(400).json({ message: 'Group not found' });
+    }
+
+    // Teachers may only move students between their own groups
+    if (!(await canManageGroup(req, fromGroup)) || !(await canManageGroup(req, toGroup))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const transfer = await transferStudent({
+      student: student._id,
+      fromGroup,
+      toGroup,
+      date,
+      reason: reason?.trim(),
+      performedBy: req.user.id
+    });
+
+    // The primary group follows the student once the transfer takes effect;
+    // pending transfers are applied by applyDueTransfers on their date
+    if (transfer.status === 'completed' && String(student.group) === String(fromGroup)) {
+      const before = student.toObject();
+      student.group = toGroup;
+      await student.save();
+      await recordAudit(req, { action: 'update', entityType: 'Student', before, after: student });
+    }
+
+    await recordAudit(req, { action: 'create', entityType: 'Transfer', after: transfer });
+
+    res.status(201).json(await transfer.populate([
+      { path: 'fromGroup', select: 'name' },
+      { path: 'toGroup', select: 'name' },
+      { path: 'performedBy', select: 'username fullName' }
+    ]));
+  } catch (error) {
+    sendError(res, error, 'Error transferring student');
+  }
+});
+
+// DELETE /api/students/:id/transfers/:transferId - Cancel a transfer that has not taken effect yet
+router.delete('/:id/transfers/:transferId', staffOnly, validate({ params: transferParams }), async (req, res) => {
+  try {
+    const existingTransfer = await Transfer.findOne({ _id: req.params.transferId, student: req.params.id });
+    if (!existingTransfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+
+    if (!(await canManageGroup(req, existingTransfer.fromGroup)) || !(await canManageGroup(req, existingTransfer.toGroup))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const transfer = await cancelTransfer(existingTransfer._id, existingTransfer.student);
+    await recordAudit(req, { action: 'update', entityType: 'Transfer', before: existingTransfer, after: transfer });
+
+    res.json(await transfer.populate([
+      { path: 'fromGroup', select: 'name' },
+      { path: 'toGroup', select: 'name' },
+      { path: 'performedBy', select: 'username fullName' }
+    ]));
+  } catch (error) {
+    sendError(res, error, 'Error cancelling transfer');
   }
 });
 
 // DELETE /api/students/:id/permanent - Permanently delete student
-router.delete('/:id/permanent', async (req, res) => {
+router.delete('/:id/permanent', adminOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const student = await Student.findByIdAndDelete(req.params.id);
     
@@ -249,9 +790,13 @@ router.delete('/:id/permanent', async (req, res) => {
       return res.status(404).json({ message: 'Student not found' });
     }
 
+    await Enrollment.deleteMany({ student: student._id });
+    await Transfer.deleteMany({ student: student._id });
+    await recordAudit(req, { action: 'delete', entityType: 'Student', before: student });
+
     res.json({ message: 'Student permanently deleted' });
   } catch (error) {
-    res.status(500).json({ message: 'Error permanently deleting student', error: error.message });
+    sendError(res, error, 'Error permanently deleting student');
   }
 });
 
@@ -1,11 +1,23 @@
 import express from 'express';
 import mongoose from 'mongoose';
 import Subject from '../models/Subject.js';
+import Group from '../models/Group.js';
+import TestResult from '../models/TestResult.js';
+import { adminOnly, staffOnly } from '../middleware/auth.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import { subjectBody } from '../validators/subjects.js';
+import { leaderboardQuery, statisticsOverTimeQuery } from '../validators/testResults.js';
+import { buildLeaderboard, buildGroupStandings, leaderboardFilter } from '../utils/leaderboard.js';
+import { statisticsOverTime } from '../utils/statistics.js';
+import { scopeGroupFilter } from '../utils/scope.js';
+import { sendError } from '../utils/errors.js';
+import { assertValidGradingScale, gradeSummaryOfTests, resolveGradingScale } from '../utils/grading.js';
 
 const router = express.Router();
 
 // GET /api/subjects - Get all subjects
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, async (req, res) => {
   try {
     console.log('Subjects API: GET / chaqirildi');
     
@@ -13,7 +25,7 @@ router.get('/', async (req, res) => {
     if (!mongoose.connection.readyState) {
       return res.status(503).json({ 
         message: 'Database connection unavailable', 
-        error: 'MongoDB not connected' 
+        code: 'DB_UNAVAILABLE'
       });
     }
     
@@ -25,20 +37,12 @@ router.get('/', async (req, res) => {
     res.json(subjects);
   } catch (error) {
     console.error('Subjects API xatosi:', error.message);
-    
-    if (error.name === 'MongoTimeoutError' || error.name === 'MongoServerSelectionError') {
-      return res.status(503).json({ 
-        message: 'Database connection timeout', 
-        error: 'Unable to connect to database' 
-      });
-    }
-    
-    res.status(500).json({ message: 'Fanlarni yuklashda xatolik', error: error.message });
+    sendError(res, error, 'Fanlarni yuklashda xatolik');
   }
 });
 
 // GET /api/subjects/:id - Get subject by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const subject = await Subject.findById(req.params.id);
     if (!subject) {
@@ -46,41 +50,113 @@ router.get('/:id', async (req, res) => {
     }
     res.json(subject);
   } catch (error) {
-    res.status(500).json({ message: 'Fanni yuklashda xatolik', error: error.message });
+    sendError(res, error, 'Fanni yuklashda xatolik');
+  }
+});
+
+// GET /api/subjects/:id/leaderboard - Rank students and groups across all groups of a subject
+router.get('/:id/leaderboard', staffOnly, validate({ params: idParams, query: leaderboardQuery }), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id).select('name teacherName');
+    if (!subject) {
+      return res.status(404).json({ message: 'Fan topilmadi' });
+    }
+
+    // Teachers only see the groups they teach
+    let groupQuery = { subject: subject._id };
+    const groupFilter = await scopeGroupFilter(req);
+    if (groupFilter) {
+      groupQuery._id = groupFilter;
+    }
+
+    const groups = await Group.find(groupQuery).select('name').lean();
+    const testResults = await TestResult.find({
+      ...leaderboardFilter(req.query),
+      group: { $in: groups.map(group => group._id) }
+    })
+      .select('group results testDate')
+      .sort({ testDate: 1 })
+      .lean();
+
+    const groupsById = new Map(groups.map(group => [group._id.toString(), group]));
+    const withGroup = (row) => ({ ...row, group: groupsById.get(row.group.toString()) });
+
+    const leaderboard = await buildLeaderboard(testResults, { minTests: req.query.minTests });
+
+    res.json({
+      subject,
+      testsCount: testResults.length,
+      groups: buildGroupStandings(testResults).map(withGroup),
+      leaderboard: leaderboard.map(withGroup)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fan reytingini yuklashda xatolik');
+  }
+});
+
+// GET /api/subjects/:id/statistics - Score distribution across all groups of a subject over time
+router.get('/:id/statistics', staffOnly, validate({ params: idParams, query: statisticsOverTimeQuery }), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.id).select('name teacherName gradingScale');
+    if (!subject) {
+      return res.status(404).json({ message: 'Fan topilmadi' });
+    }
+
+    // Teachers only see the groups they teach
+    const testResultQuery = { ...leaderboardFilter(req.query), subject: subject._id };
+    const groupFilter = await scopeGroupFilter(req);
+    if (groupFilter) {
+      testResultQuery.group = groupFilter;
+    }
+
+    const testResults = await TestResult.find(testResultQuery)
+      .select('group testName testDate results gradingScale')
+      .populate('group', 'name')
+      .sort({ testDate: 1 })
+      .lean();
+
+    // The pass mark defaults to the one of the subject's grading scale
+    const passMark = req.query.passMark ?? resolveGradingScale(null, subject).passMark;
+
+    res.json({
+      subject,
+      ...statisticsOverTime(testResults, { ...req.query, passMark }),
+      grades: gradeSummaryOfTests(testResults, subject)
+    });
+  } catch (error) {
+    sendError(res, error, 'Fan statistikasini yuklashda xatolik');
   }
 });
 
 // POST /api/subjects - Create new subject
-router.post('/', async (req, res) => {
+router.post('/', adminOnly, validate({ body: subjectBody }), async (req, res) => {
   try {
     console.log('Subjects API: POST / chaqirildi', {
       body: req.body,
       dbState: mongoose.connection.readyState
     });
     
-    const { name, teacherName, description } = req.body;
-    
-    if (!name || !teacherName) {
-      console.log('Validation failed: missing required fields');
-      return res.status(400).json({ message: 'Fan nomi va o\'qituvchi nomi majburiy' });
-    }
+    const { name, teacherName, description, gradingScale } = req.body;
+    assertValidGradingScale(gradingScale);
 
     // Check for existing subject
     console.log('Checking for existing subject with name:', name.trim());
     const existingSubject = await Subject.findOne({ name: name.trim() }).lean();
     if (existingSubject) {
       console.log('Subject already exists:', existingSubject._id);
-      return res.status(400).json({ message: 'Bu nomli fan allaqachon mavjud' });
+      return res.status(409).json({ message: 'Bu nomli fan allaqachon mavjud', code: 'DUPLICATE_KEY' });
     }
 
     console.log('Creating new subject...');
     const subject = new Subject({
       name: name.trim(),
       teacherName: teacherName.trim(),
-      description: description?.trim()
+      description: description?.trim(),
+      gradingScale: gradingScale || undefined
     });
 
     const savedSubject = await subject.save();
+    await recordAudit(req, { action: 'create', entityType: 'Subject', after: savedSubject });
     console.log('Subjects API: Yangi fan saqlandi', {
       id: savedSubject._id,
       name: savedSubject.name
@@ -93,26 +169,16 @@ router.post('/', async (req, res) => {
       stack: error.stack,
       name: error.name
     });
-    
-    if (error.name === 'MongoTimeoutError' || error.message.includes('buffering timed out')) {
-      return res.status(503).json({ 
-        message: 'Database ulanishida muammo. Qayta urinib ko\'ring.', 
-        error: 'Database timeout'
-      });
-    }
-    
-    res.status(500).json({ message: 'Fan yaratishda xatolik', error: error.message });
+
+    sendError(res, error, 'Fan yaratishda xatolik');
   }
 });
 
 // PUT /api/subjects/:id - Update subject
-router.put('/:id', async (req, res) => {
+router.put('/:id', adminOnly, validate({ params: idParams, body: subjectBody }), async (req, res) => {
   try {
-    const { name, teacherName, description } = req.body;
-    
-    if (!name || !teacherName) {
-      return res.status(400).json({ message: 'Fan nomi va o\'qituvchi nomi majburiy' });
-    }
+    const { name, teacherName, description, gradingScale } = req.body;
+    assertValidGradingScale(gradingScale);
 
     // Check if another subject with the same name exists
     const existingSubject = await Subject.findOne({ 
@@ -120,15 +186,18 @@ router.put('/:id', async (req, res) => {
       _id: { $ne: req.params.id } 
     });
     if (existingSubject) {
-      return res.status(400).json({ message: 'Bu nomli fan allaqachon mavjud' });
+      return res.status(409).json({ message: 'Bu nomli fan allaqachon mavjud', code: 'DUPLICATE_KEY' });
     }
 
+    const previousSubject = await Subject.findById(req.params.id).lean();
     const subject = await Subject.findByIdAndUpdate(
       req.params.id,
       {
         name: name.trim(),
         teacherName: teacherName.trim(),
         description: description?.trim(),
+        // Left out: keep the current scale; null: fall back to the default scale
+        ...(gradingScale !== undefined && { gradingScale }),
         updatedAt: Date.now()
       },
       { new: true, runValidators: true }
@@ -138,14 +207,16 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Fan topilmadi' });
     }
 
+    await recordAudit(req, { action: 'update', entityType: 'Subject', before: previousSubject, after: subject });
+
     res.json(subject);
   } catch (error) {
-    res.status(500).json({ message: 'Fanni yangilashda xatolik', error: error.message });
+    sendError(res, error, 'Fanni yangilashda xatolik');
   }
 });
 
 // DELETE /api/subjects/:id - Delete subject
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const subject = await Subject.findByIdAndDelete(req.params.id);
     
@@ -153,9 +224,11 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Fan topilmadi' });
     }
 
+    await recordAudit(req, { action: 'delete', entityType: 'Subject', before: subject });
+
     res.json({ message: 'Fan muvaffaqiyatli o\'chirildi' });
   } catch (error) {
-    res.status(500).json({ message: 'Fanni o\'chirishda xatolik', error: error.message });
+    sendError(res, error, 'Fanni o\'chirishda xatolik');
   }
 });
 
@@ -1,29 +1,115 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import multer from 'multer';
+import path from 'path';
 import TestResult from '../models/TestResult.js';
 import Group from '../models/Group.js';
 import Student from '../models/Student.js';
+import Subject from '../models/Subject.js';
+import Enrollment from '../models/Enrollment.js';
+import { staffOnly } from '../middleware/auth.js';
+import { canManageGroup, scopeGroupFilter, groupForbidden } from '../utils/scope.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import {
+  resultEntryBody,
+  resultEntryParams,
+  testResultBody,
+  testResultExportQuery,
+  testResultImportBody,
+  testResultListQuery,
+  testStatisticsQuery
+} from '../validators/testResults.js';
+import { rankTestEntries } from '../utils/leaderboard.js';
+import { containsInsensitive } from '../utils/regex.js';
+import { average, computeEntry, entryPercentage, round, summarizeEntries } from '../utils/scores.js';
+import { testStatistics } from '../utils/statistics.js';
+import { upsertEntryPipeline, removeEntryPipeline } from '../utils/resultEntries.js';
+import { assertValidResultEntries, assertValidSections } from '../utils/resultIntegrity.js';
+import { assertValidGradingScale, withGrades } from '../utils/grading.js';
+import { enrolledStudentIds } from '../utils/enrollment.js';
+import { sendError, ApiError } from '../utils/errors.js';
+import { uploadLimiter } from '../middleware/rateLimit.js';
+import { readSpreadsheet, streamSpreadsheet, exportFilename, SPREADSHEET_EXTENSIONS } from '../utils/spreadsheet.js';
+import { detectColumns, hasRequiredColumns, matchScoreRows } from '../utils/scoreImport.js';
 
 const router = express.Router();
 
+// Score sheets are parsed in memory and never written to disk
+const sheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (SPREADSHEET_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    cb(new ApiError(415, 'Only .csv and .xlsx files are allowed', 'UNSUPPORTED_FILE_TYPE'));
+  }
+});
+
+// Intersects two `group` conditions (an id, { $in: ids } or undefined for "any")
+const intersectGroupFilters = (condition, groupIds) => {
+  if (condition === undefined) return { $in: groupIds };
+  const allowed = typeof condition === 'object' ? condition.$in.map(String) : [String(condition)];
+  return { $in: groupIds.filter(id => allowed.includes(String(id))) };
+};
+
+// Builds the database filter for the list query, so pagination counts are exact
+const buildTestResultFilter = async (req) => {
+  const { groupId, subjectId, published, teacherName, search, from, to } = req.query;
+  let query = {};
+
+  // Teachers only see results of their own groups
+  let groupFilter = await scopeGroupFilter(req, groupId);
+
+  // Teacher name may be on the group or, for older groups, only on the subject
+  if (teacherName) {
+    const pattern = containsInsensitive(teacherName);
+    const subjects = await Subject.find({ teacherName: pattern }).select('_id').lean();
+    const groups = await Group.find({
+      $or: [{ teacherName: pattern }, { subject: { $in: subjects.map(subject => subject._id) } }]
+    }).select('_id').lean();
+    groupFilter = intersectGroupFilters(groupFilter, groups.map(group => group._id));
+  }
+
+  if (groupFilter) {
+    query.group = groupFilter;
+  }
+
+  if (subjectId) {
+    query.subject = subjectId;
+  }
+
+  if (published !== undefined) {
+    query.isPublished = published;
+  }
+
+  if (search) {
+    query.testName = containsInsensitive(search);
+  }
+
+  if (from || to) {
+    query.testDate = {};
+    if (from) query.testDate.$gte = from;
+    if (to) query.testDate.$lte = to;
+  }
+
+  return query;
+};
+
 // GET /api/test-results - Get all test results with filtering and pagination
-router.get('/', async (req, res) => {
+router.get('/', staffOnly, validate({ query: testResultListQuery }), async (req, res) => {
   try {
-    const { groupId, subjectId, published, page = 1, limit = 10 } = req.query;
-    let query = {};
-    
-    if (groupId) {
-      query.group = groupId;
-    }
-    
-    if (published !== undefined) {
-      query.isPublished = published === 'true';
-    }
+    const { page = 1, limit = 10 } = req.query;
+    const query = await buildTestResultFilter(req);
 
     const pageNumber = parseInt(page);
     const limitNumber = parseInt(limit);
     const skip = (pageNumber - 1) * limitNumber;
 
-    let [testResults, total] = await Promise.all([
+    const [testResults, total] = await Promise.all([
       TestResult.find(query)
         .populate({
           path: 'group',
@@ -39,18 +125,8 @@ router.get('/', async (req, res) => {
       TestResult.countDocuments(query)
     ]);
 
-    // Filter by subject if specified
-    if (subjectId) {
-      testResults = testResults.filter(result => 
-        result.group.subject._id.toString() === subjectId
-      );
-      
-      // Recalculate total after filtering
-      total = testResults.length;
-    }
-    
     res.json({
-      data: testResults,
+      data: await withGrades(testResults),
       pagination: {
         currentPage: pageNumber,
         totalPages: Math.ceil(total / limitNumber),
@@ -61,12 +137,139 @@ router.get('/', async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching test results', error: error.message });
+    sendError(res, error, 'Error fetching test results');
+  }
+});
+
+// Streams one row per student per test
+const exportLongLayout = async (req, res, query) => {
+  const cursor = TestResult.find(query)
+    .populate('group', 'name')
+    .populate('subject', 'name')
+    .populate('results.student', 'firstName lastName')
+    .sort({ testDate: -1 })
+    .lean()
+    .cursor();
+
+  // Each test yields all of its entries as rows. Stopping early closes the cursor.
+  const rows = (async function* () {
+    let exhausted = false;
+    try {
+      for await (const testResult of cursor) {
+        yield testResult.results.map(entry => ({ testResult, entry }));
+      }
+      exhausted = true;
+    } finally {
+      if (!exhausted) await cursor.close();
+    }
+  })();
+
+  await streamSpreadsheet(res, {
+    format: req.query.format,
+    filename: exportFilename('test-results'),
+    sheetName: 'Test results',
+    columns: [
+      { header: 'Test date', value: ({ testResult }) => testResult.testDate },
+      { header: 'Test name', value: ({ testResult }) => testResult.testName, width: 28 },
+      { header: 'Subject', value: ({ testResult }) => testResult.subject?.name },
+      { header: 'Group', value: ({ testResult }) => testResult.group?.name },
+      { header: 'First name', value: ({ entry }) => entry.student?.firstName },
+      { header: 'Last name', value: ({ entry }) => entry.student?.lastName },
+      { header: 'Score', value: ({ entry }) => entry.score },
+      { header: 'Max score', value: ({ entry }) => entry.maxScore },
+      { header: 'Percentage', value: ({ entry }) => round(entryPercentage(entry)) },
+      {
+        header: 'Section scores',
+        width: 32,
+        value: ({ entry }) => (entry.sectionScores || [])
+          .map(sectionScore => `${sectionScore.section}: ${sectionScore.score}`)
+          .join('; ')
+      },
+      { header: 'Notes', value: ({ entry }) => entry.notes, width: 32 },
+      { header: 'Published', value: ({ testResult }) => (testResult.isPublished ? 'yes' : 'no') }
+    ],
+    rows
+  });
+};
+
+// Streams one row per student of a group with one score column per test
+const exportMatrixLayout = async (req, res, query) => {
+  const group = await Group.findById(req.query.groupId).select('name');
+  if (!group) {
+    return res.status(404).json({ message: 'Group not found' });
+  }
+
+  const testResults = await TestResult.find(query)
+    .select('testName testDate results.student results.score results.maxScore results.percentage')
+    .sort({ testDate: 1 })
+    .lean();
+
+  // Current students plus anyone who has a score in one of the tests
+  const studentIds = new Set(testResults.flatMap(testResult => testResult.results.map(entry => String(entry.student))));
+  for (const studentId of await enrolledStudentIds(group._id)) studentIds.add(String(studentId));
+  const cursor = Student.find({ _id: { $in: [...studentIds] } })
+    .select('firstName lastName')
+    .sort({ lastName: 1, firstName: 1 })
+    .lean()
+    .cursor();
+
+  const entriesByTest = testResults.map(testResult =>
+    new Map(testResult.results.map(entry => [String(entry.student), entry]))
+  );
+  const entriesOf = (student) => entriesByTest
+    .map(entries => entries.get(String(student._id)))
+    .filter(Boolean);
+
+  await streamSpreadsheet(res, {
+    format: req.query.format,
+    filename: exportFilename(`test-results-matrix-${group._id}`),
+    sheetName: group.name,
+    columns: [
+      { header: 'First name', value: student => student.firstName },
+      { header: 'Last name', value: student => student.lastName },
+      ...testResults.map((testResult, index) => ({
+        header: `${testResult.testName} (${testResult.testDate.toISOString().slice(0, 10)})`,
+        width: 20,
+        value: student => entriesByTest[index].get(String(student._id))?.score
+      })),
+      {
+        header: 'Average %',
+        value: (student) => {
+          const percentage = average(entriesOf(student).map(entryPercentage));
+          return percentage === null ? '' : round(percentage);
+        }
+      }
+    ],
+    rows: cursor
+  });
+};
+
+// GET /api/test-results/export - Download test results as CSV or XLSX, honouring the list filters.
+// layout=long gives one row per student per test; layout=matrix gives students x tests for one group.
+router.get('/export', staffOnly, validate({ query: testResultExportQuery }), async (req, res) => {
+  try {
+    if (req.query.layout === 'matrix' && !req.query.groupId) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        code: 'VALIDATION_ERROR',
+        errors: [{ location: 'query', field: 'groupId', message: 'is required for the matrix layout' }]
+      });
+    }
+
+    const query = await buildTestResultFilter(req);
+
+    if (req.query.layout === 'matrix') {
+      await exportMatrixLayout(req, res, query);
+    } else {
+      await exportLongLayout(req, res, query);
+    }
+  } catch (error) {
+    sendError(res, error, 'Error exporting test results');
   }
 });
 
 // GET /api/test-results/:id - Get test result by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const testResult = await TestResult.findById(req.params.id)
       .populate({
@@ -78,60 +281,107 @@ router.get('/:id', async (req, res) => {
       })
       .populate('results.student', 'firstName lastName school grade');
     
-    if (!testResult) {
+    if (!testResult || (!testResult.isPublished && !(await canManageGroup(req, testResult.group?._id)))) {
       return res.status(404).json({ message: 'Test result not found' });
     }
     
-    res.json(testResult);
+    res.json(await withGrades(testResult));
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching test result', error: error.message });
+    sendError(res, error, 'Error fetching test result');
   }
 });
 
-// POST /api/test-results - Create new test result
-router.post('/', async (req, res) => {
+// GET /api/test-results/:id/rankings - Get the ranked entries of one test
+router.get('/:id/rankings', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
-    const { group, testName, testDate, results, description, isPublished } = req.body;
-    
-    if (!group || !testName || !testDate || !results || !Array.isArray(results)) {
-      return res.status(400).json({ 
-        message: 'Group, test name, test date, and results array are required' 
-      });
+    const testResult = await TestResult.findById(req.params.id)
+      .populate('group', 'name')
+      .populate('results.student', 'firstName lastName')
+      .lean();
+
+    if (!testResult || (!testResult.isPublished && !(await canManageGroup(req, testResult.group?._id)))) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+
+    const graded = await withGrades(testResult);
+    res.json({
+      testResultId: testResult._id,
+      testName: testResult.testName,
+      testDate: testResult.testDate,
+      group: testResult.group,
+      sections: testResult.sections,
+      gradingScale: graded.appliedGradingScale,
+      gradeSummary: graded.gradeSummary,
+      rankings: rankTestEntries(graded.results)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching test rankings');
+  }
+});
+
+// GET /api/test-results/:id/statistics - Score distribution and pass rate of one test
+router.get('/:id/statistics', staffOnly, validate({ params: idParams, query: testStatisticsQuery }), async (req, res) => {
+  try {
+    const testResult = await TestResult.findById(req.params.id)
+      .select('group subject testName testDate isPublished results gradingScale')
+      .populate('group', 'name')
+      .lean();
+
+    if (!testResult || (!testResult.isPublished && !(await canManageGroup(req, testResult.group?._id)))) {
+      return res.status(404).json({ message: 'Test result not found' });
     }
 
+    // The pass mark defaults to the one of the test's grading scale
+    const graded = await withGrades(testResult);
+    const passMark = req.query.passMark ?? graded.appliedGradingScale.passMark;
+
+    res.json({
+      testResultId: testResult._id,
+      testName: testResult.testName,
+      testDate: testResult.testDate,
+      group: testResult.group,
+      statistics: testStatistics(testResult, { ...req.query, passMark }),
+      grades: graded.gradeSummary
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching test statistics');
+  }
+});
+
+// POST /api/test-results - Create new test result
+router.post('/', staffOnly, validate({ body: testResultBody }), async (req, res) => {
+  try {
+    const { group, testName, testDate, sections = [], gradingScale, results, description, isPublished } = req.body;
+
     // Verify group exists
     const groupExists = await Group.findById(group);
     if (!groupExists) {
       return res.status(400).json({ message: 'Group not found' });
     }
 
-    // Validate results
-    for (const result of results) {
-      if (!result.student || result.score === undefined || result.score < 0) {
-        return res.status(400).json({ 
-          message: 'Each result must have a valid student and score (0 or higher)' 
-        });
-      }
-      
-      // Verify student exists
-      const studentExists = await Student.findById(result.student);
-      if (!studentExists) {
-        return res.status(400).json({ 
-          message: `Student with ID ${result.student} not found` 
-        });
-      }
+    if (!(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
     }
 
+    // Score bounds, duplicates and group membership, checked in one query
+    assertValidSections(sections);
+    assertValidGradingScale(gradingScale);
+    await assertValidResultEntries(results, { group, testDate, sections });
+
     const testResult = new TestResult({
       group,
+      subject: groupExists.subject,
       testName: testName.trim(),
       testDate: new Date(testDate),
+      sections,
+      gradingScale: gradingScale || undefined,
       results,
       description: description?.trim(),
       isPublished: isPublished || false
     });
 
     const savedTestResult = await testResult.save();
+    await recordAudit(req, { action: 'create', entityType: 'TestResult', after: savedTestResult });
     const populatedTestResult = await TestResult.findById(savedTestResult._id)
       .populate({
         path: 'group',
@@ -142,53 +392,210 @@ router.post('/', async (req, res) => {
       })
       .populate('results.student', 'firstName lastName school grade');
     
-    res.status(201).json(populatedTestResult);
+    res.status(201).json(await withGrades(populatedTestResult));
   } catch (error) {
-    res.status(500).json({ message: 'Error creating test result', error: error.message });
+    sendError(res, error, 'Error creating test result');
   }
 });
 
-// PUT /api/test-results/:id - Update test result
-router.put('/:id', async (req, res) => {
+// POST /api/test-results/import - Create or update a group's test from a CSV/XLSX score sheet.
+// With preview=true only the row matching report is returned and nothing is saved.
+router.post('/import', staffOnly, uploadLimiter, sheetUpload.single('file'), validate({ body: testResultImportBody }), async (req, res) => {
   try {
-    const { group, testName, testDate, results, description, isPublished } = req.body;
-    
-    if (!group || !testName || !testDate || !results || !Array.isArray(results)) {
-      return res.status(400).json({ 
-        message: 'Group, test name, test date, and results array are required' 
-      });
+    const { group, testResultId, description, isPublished, preview, ignoreUnmatched, overrides, maxScore } = req.body;
+    const testName = req.body.testName?.trim();
+    const testDate = req.body.testDate;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A .csv or .xlsx file is required in the "file" field' });
     }
 
-    // Verify group exists
     const groupExists = await Group.findById(group);
     if (!groupExists) {
       return res.status(400).json({ message: 'Group not found' });
     }
 
-    // Validate results
-    for (const result of results) {
-      if (!result.student || result.score === undefined || result.score < 0) {
-        return res.status(400).json({ 
-          message: 'Each result must have a valid student and score (0 or higher)' 
-        });
+    if (!(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    // The test to update: an explicit id, or the group's test with the same name and date
+    let existingTestResult = null;
+    if (testResultId) {
+      existingTestResult = await TestResult.findById(testResultId);
+      if (!existingTestResult) {
+        return res.status(404).json({ message: 'Test result not found' });
       }
-      
-      // Verify student exists
-      const studentExists = await Student.findById(result.student);
-      if (!studentExists) {
-        return res.status(400).json({ 
-          message: `Student with ID ${result.student} not found` 
-        });
+      if (String(existingTestResult.group) !== String(group)) {
+        return res.status(400).json({ message: 'Test result belongs to a different group' });
       }
+    } else if (!testName || !testDate) {
+      return res.status(400).json({ message: 'testName and testDate are required unless testResultId is given' });
+    } else {
+      existingTestResult = await TestResult.findOne({ group, testName, testDate: new Date(testDate) });
+    }
+
+    const { headers, rows } = await readSpreadsheet(req.file.buffer, req.file.originalname);
+    // Multi-section tests are imported with one score column per section
+    const sections = existingTestResult?.sections || [];
+    const columns = detectColumns(headers, sections);
+    if (!hasRequiredColumns(columns)) {
+      return res.status(400).json({
+        message: sections.length > 0
+          ? `The sheet needs a column for each section (${sections.map(section => section.name).join(', ')}) and either a full name column or first and last name columns`
+          : 'The sheet needs a score column and either a full name column or first and last name columns',
+        code: 'INVALID_SPREADSHEET',
+        headers
+      });
+    }
+
+    // Rows are matched against the students enrolled in the group on the test date
+    const enrolledIds = await Enrollment.distinct('student', {
+      group,
+      ...Enrollment.coveringDate(testDate || existingTestResult.testDate)
+    });
+    const students = await Student.find({ _id: { $in: enrolledIds }, isActive: true }).select('firstName lastName').lean();
+    const report = matchScoreRows(rows, columns, students, { maxScore, overrides, sections });
+    const target = existingTestResult
+      ? { action: 'update', testResultId: existingTestResult._id }
+      : { action: 'create' };
+
+    if (preview) {
+      return res.json({ preview: true, columns, target, ...report });
+    }
+
+    const hasProblems = report.summary.matched < report.summary.total;
+    if (report.summary.matched === 0 || (hasProblems && !ignoreUnmatched)) {
+      return res.status(422).json({
+        message: 'Some rows could not be imported. Fix them, choose students with overrides or set ignoreUnmatched',
+        code: 'IMPORT_ROWS_INVALID',
+        target,
+        ...report
+      });
+    }
+
+    const entries = report.rows
+      .filter(item => item.status === 'matched')
+      .map(item => ({
+        student: item.student._id,
+        score: item.score,
+        maxScore: item.maxScore,
+        sectionScores: item.sectionScores,
+        notes: item.notes
+      }));
+
+    let savedTestResult;
+    if (existingTestResult) {
+      const previousTestResult = existingTestResult.toObject();
+
+      // Imported rows replace the student's entry; students not in the sheet keep theirs
+      const entriesByStudent = new Map(entries.map(entry => [String(entry.student), entry]));
+      existingTestResult.results.forEach(result => {
+        const entry = entriesByStudent.get(String(result.student));
+        if (!entry) return;
+        result.score = entry.score;
+        result.maxScore = entry.maxScore;
+        if (entry.sectionScores) result.sectionScores = entry.sectionScores;
+        if (entry.notes !== undefined) result.notes = entry.notes;
+        entriesByStudent.delete(String(result.student));
+      });
+      existingTestResult.results.push(...entriesByStudent.values());
+
+      if (testName) existingTestResult.testName = testName;
+      if (testDate) existingTestResult.testDate = new Date(testDate);
+      if (description !== undefined) existingTestResult.description = description.trim();
+      if (isPublished !== undefined) existingTestResult.isPublished = isPublished;
+      existingTestResult.subject = groupExists.subject;
+
+      savedTestResult = await existingTestResult.save();
+      await recordAudit(req, { action: 'update', entityType: 'TestResult', before: previousTestResult, after: savedTestResult });
+    } else {
+      savedTestResult = await new TestResult({
+        group,
+        subject: groupExists.subject,
+        testName,
+        testDate: new Date(testDate),
+        results: entries,
+        description: description?.trim(),
+        isPublished: isPublished || false
+      }).save();
+      await recordAudit(req, { action: 'create', entityType: 'TestResult', after: savedTestResult });
+    }
+
+    const populatedTestResult = await TestResult.findById(savedTestResult._id)
+      .populate({
+        path: 'group',
+        populate: {
+          path: 'subject',
+          select: 'name teacherName'
+        }
+      })
+      .populate('results.student', 'firstName lastName school grade');
+
+    res.status(existingTestResult ? 200 : 201).json({
+      testResult: await withGrades(populatedTestResult),
+      imported: entries.length,
+      skipped: report.rows.filter(item => item.status !== 'matched')
+    });
+  } catch (error) {
+    sendError(res, error, 'Error importing test results');
+  }
+});
+
+// PUT /api/test-results/:id - Update test result
+router.put('/:id', staffOnly, validate({ params: idParams, body: testResultBody }), async (req, res) => {
+  try {
+    const { group, testName, testDate, gradingScale, results, description, isPublished } = req.body;
+
+    // Verify group exists
+    const groupExists = await Group.findById(group);
+    if (!groupExists) {
+      return res.status(400).json({ message: 'Group not found' });
+    }
+
+    if (!(await canManageGroup(req, group))) {
+      return res.status(403).json(groupForbidden);
     }
 
+    // Teachers may not move results out of another teacher's group
+    const existingTestResult = await TestResult.findById(req.params.id).lean();
+    if (!existingTestResult) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+    if (!(await canManageGroup(req, existingTestResult.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    // Clients that do not know about sections keep the test's current ones
+    const sections = req.body.sections ?? existingTestResult.sections ?? [];
+
+    // Students already on this test stay valid even if they have since changed group
+    assertValidSections(sections);
+    assertValidGradingScale(gradingScale);
+    await assertValidResultEntries(results, {
+      group,
+      testDate,
+      sections,
+      keepStudentIds: String(existingTestResult.group) === String(group)
+        ? existingTestResult.results.map(result => result.student)
+        : []
+    });
+
+    // findByIdAndUpdate skips the pre-save hook, so totals are computed here
+    const entries = results.map(entry => computeEntry(entry, sections));
+
     const testResult = await TestResult.findByIdAndUpdate(
       req.params.id,
       {
         group,
+        subject: groupExists.subject,
         testName: testName.trim(),
         testDate: new Date(testDate),
-        results,
+        sections,
+        // Left out: keep the current override; null: use the subject's scale
+        ...(gradingScale !== undefined && { gradingScale }),
+        results: entries,
+        ...summarizeEntries(entries),
         description: description?.trim(),
         isPublished: isPublished !== undefined ? isPublished : false,
         updatedAt: Date.now()
@@ -206,14 +613,109 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Test result not found' });
     }
 
-    res.json(testResult);
+    await recordAudit(req, { action: 'update', entityType: 'TestResult', before: existingTestResult, after: testResult });
+
+    res.json(await withGrades(testResult));
+  } catch (error) {
+    sendError(res, error, 'Error updating test result');
+  }
+});
+
+const populateTestResult = (query) => query
+  .populate({
+    path: 'group',
+    populate: {
+      path: 'subject',
+      select: 'name teacherName'
+    }
+  })
+  .populate('results.student', 'firstName lastName school grade');
+
+// PUT /api/test-results/:id/results/:studentId - Add or replace one student's entry
+router.put('/:id/results/:studentId', staffOnly, validate({ params: resultEntryParams, body: resultEntryBody }), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const { score, notes } = req.body;
+
+    const existingTestResult = await TestResult.findById(id).lean();
+    if (!existingTestResult) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+
+    if (!(await canManageGroup(req, existingTestResult.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const existingEntry = existingTestResult.results.find(result => String(result.student) === studentId);
+    const sections = existingTestResult.sections || [];
+    const entry = {
+      student: studentId,
+      score,
+      maxScore: req.body.maxScore ?? existingEntry?.maxScore ?? 100,
+      sectionScores: req.body.sectionScores
+    };
+    await assertValidResultEntries([entry], {
+      group: existingTestResult.group,
+      testDate: existingTestResult.testDate,
+      sections,
+      keepStudentIds: existingEntry ? [studentId] : []
+    });
+
+    const student = new mongoose.Types.ObjectId(studentId);
+    const { sectionScores, ...totals } = computeEntry(entry, sections);
+    const changes = { score: totals.score, maxScore: totals.maxScore };
+    if (sections.length > 0) changes.sectionScores = sectionScores;
+    if (notes !== undefined) changes.notes = notes.trim();
+
+    const testResult = await populateTestResult(
+      TestResult.findByIdAndUpdate(id, upsertEntryPipeline(student, changes), { new: true })
+    );
+    if (!testResult) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'TestResult', before: existingTestResult, after: testResult });
+
+    res.status(existingEntry ? 200 : 201).json(await withGrades(testResult));
+  } catch (error) {
+    sendError(res, error, 'Error saving result entry');
+  }
+});
+
+// DELETE /api/test-results/:id/results/:studentId - Remove one student's entry
+router.delete('/:id/results/:studentId', staffOnly, validate({ params: resultEntryParams }), async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+
+    const existingTestResult = await TestResult.findById(id).lean();
+    if (!existingTestResult) {
+      return res.status(404).json({ message: 'Test result not found' });
+    }
+
+    if (!(await canManageGroup(req, existingTestResult.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const student = new mongoose.Types.ObjectId(studentId);
+
+    // Matching on the entry makes a concurrent removal answer 404 instead of succeeding twice
+    const testResult = await populateTestResult(
+      TestResult.findOneAndUpdate({ _id: id, 'results.student': student }, removeEntryPipeline(student), { new: true })
+    );
+    if (!testResult) {
+      return res.status(404).json({ message: 'Result entry not found' });
+    }
+
+    await recordAudit(req, { action: 'update', entityType: 'TestResult', before: existingTestResult, after: testResult });
+
+    res.json(await withGrades(testResult));
   } catch (error) {
-    res.status(500).json({ message: 'Error updating test result', error: error.message });
+    sendError(res, error, 'Error removing result entry');
   }
 });
 
 // PATCH /api/test-results/:id/publish - Toggle publish status
-router.patch('/:id/publish', async (req, res) => {
+router.patch('/:id/publish', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
     const testResult = await TestResult.findById(req.params.id);
     
@@ -221,10 +723,21 @@ router.patch('/:id/publish', async (req, res) => {
       return res.status(404).json({ message: 'Test result not found' });
     }
 
+    if (!(await canManageGroup(req, testResult.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const previousTestResult = testResult.toObject();
     testResult.isPublished = !testResult.isPublished;
     testResult.updatedAt = Date.now();
     
     const updatedTestResult = await testResult.save();
+    await recordAudit(req, {
+      action: updatedTestResult.isPublished ? 'publish' : 'unpublish',
+      entityType: 'TestResult',
+      before: previousTestResult,
+      after: updatedTestResult
+    });
     const populatedTestResult = await TestResult.findById(updatedTestResult._id)
       .populate({
         path: 'group',
@@ -235,24 +748,31 @@ router.patch('/:id/publish', async (req, res) => {
       })
       .populate('results.student', 'firstName lastName school grade');
 
-    res.json(populatedTestResult);
+    res.json(await withGrades(populatedTestResult));
   } catch (error) {
-    res.status(500).json({ message: 'Error updating publish status', error: error.message });
+    sendError(res, error, 'Error updating publish status');
   }
 });
 
 // DELETE /api/test-results/:id - Delete test result
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', staffOnly, validate({ params: idParams }), async (req, res) => {
   try {
-    const testResult = await TestResult.findByIdAndDelete(req.params.id);
+    const existingTestResult = await TestResult.findById(req.params.id).lean();
     
-    if (!testResult) {
+    if (!existingTestResult) {
       return res.status(404).json({ message: 'Test result not found' });
     }
 
+    if (!(await canManageGroup(req, existingTestResult.group))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    await TestResult.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'delete', entityType: 'TestResult', before: existingTestResult });
+
     res.json({ message: 'Test result deleted successfully' });
   } catch (error) {
-    res.status(500).json({ message: 'Error deleting test result', error: error.message });
+    sendError(res, error, 'Error deleting test result');
   }
 });
 
@@ -0,0 +1,77 @@
+import express from 'express';
+import Group from '../models/Group.js';
+import Student from '../models/Student.js';
+import User from '../models/User.js';
+import { staffOnly } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { roomTimetableParams, studentTimetableParams, teacherTimetableParams } from '../validators/groups.js';
+import { activeGroupIds } from '../utils/enrollment.js';
+import { equalsInsensitive } from '../utils/regex.js';
+import { canManageStudent, groupForbidden } from '../utils/scope.js';
+import { weeklyTimetable } from '../utils/timetable.js';
+import { sendError } from '../utils/errors.js';
+
+// Weekly timetables built from the schedules of groups
+const router = express.Router();
+
+const findScheduledGroups = (query) => Group.find({ ...query, 'schedule.0': { $exists: true } })
+  .select('name subject teacher teacherName schedule')
+  .populate('subject', 'name')
+  .lean();
+
+// GET /api/timetable/teachers/:teacherId - Weekly lessons of a teacher
+router.get('/teachers/:teacherId', staffOnly, validate({ params: teacherTimetableParams }), async (req, res) => {
+  try {
+    const teacher = await User.findOne({ _id: req.params.teacherId, role: 'teacher' }).select('username fullName');
+    if (!teacher) {
+      return res.status(404).json({ message: 'Teacher not found' });
+    }
+
+    const groups = await findScheduledGroups({ teacher: teacher._id });
+
+    res.json({ teacher, timetable: weeklyTimetable(groups) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching teacher timetable');
+  }
+});
+
+// GET /api/timetable/rooms/:room - Weekly lessons held in a room
+router.get('/rooms/:room', staffOnly, validate({ params: roomTimetableParams }), async (req, res) => {
+  try {
+    const room = req.params.room.trim();
+    const groups = await findScheduledGroups({ 'schedule.room': equalsInsensitive(room) });
+
+    // Groups meeting in several rooms only contribute their slots in this one
+    const inRoom = groups.map(group => ({
+      ...group,
+      schedule: group.schedule.filter(slot => slot.room?.toLowerCase() === room.toLowerCase())
+    }));
+
+    res.json({ room, timetable: weeklyTimetable(inRoom) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching room timetable');
+  }
+});
+
+// GET /api/timetable/students/:studentId - Weekly lessons of all groups a student attends
+router.get('/students/:studentId', staffOnly, validate({ params: studentTimetableParams }), async (req, res) => {
+  try {
+    const student = await Student.findById(req.params.studentId).select('firstName lastName group');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    if (!(await canManageStudent(req, student))) {
+      return res.status(403).json(groupForbidden);
+    }
+
+    const groupIds = await activeGroupIds(student._id);
+    const groups = await findScheduledGroups({ _id: { $in: groupIds } });
+
+    res.json({ student, timetable: weeklyTimetable(groups) });
+  } catch (error) {
+    sendError(res, error, 'Error fetching student timetable');
+  }
+});
+
+export default router;
@@ -0,0 +1,215 @@
+import express from 'express';
+import User from '../models/User.js';
+import { adminOnly, authMiddleware } from '../middleware/auth.js';
+import { revokeAllSessions } from '../utils/tokens.js';
+import { recordAudit } from '../utils/audit.js';
+import { validate, idParams } from '../middleware/validate.js';
+import {
+  userListQuery,
+  userCreateBody,
+  userUpdateBody,
+  passwordResetBody,
+  passwordChangeBody
+} from '../validators/users.js';
+import { sendError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// PATCH /api/users/me/password - Change own password
+router.patch('/me/password', authMiddleware, validate({ body: passwordChangeBody }), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await user.verifyPassword(currentPassword))) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    const previousUser = user.toObject();
+    await user.setPassword(newPassword);
+    await user.save();
+
+    // Other devices may have been using the old password
+    await revokeAllSessions(user._id);
+    await recordAudit(req, { action: 'update', entityType: 'User', before: previousUser, after: user });
+
+    res.json({ message: 'Password changed successfully. Please log in again.' });
+  } catch (error) {
+    sendError(res, error, 'Error changing password');
+  }
+});
+
+// GET /api/users - Get all users
+router.get('/', adminOnly, validate({ query: userListQuery }), async (req, res) => {
+  try {
+    const { role, active } = req.query;
+    let query = {};
+
+    if (role) {
+      query.role = role;
+    }
+
+    if (active !== undefined) {
+      query.isActive = active;
+    }
+
+    const users = await User.find(query).sort({ createdAt: -1 });
+
+    res.json(users);
+  } catch (error) {
+    sendError(res, error, 'Error fetching users');
+  }
+});
+
+// GET /api/users/:id - Get user by ID
+router.get('/:id', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Error fetching user');
+  }
+});
+
+// POST /api/users - Create new user
+router.post('/', adminOnly, validate({ body: userCreateBody }), async (req, res) => {
+  try {
+    const { username, password, fullName, role } = req.body;
+
+    const existingUser = await User.findOne({ username: username.trim().toLowerCase() });
+    if (existingUser) {
+      return res.status(409).json({ message: 'Username is already taken', code: 'DUPLICATE_KEY' });
+    }
+
+    const user = new User({
+      username: username.trim(),
+      fullName: fullName?.trim(),
+      role
+    });
+    await user.setPassword(password);
+
+    const savedUser = await user.save();
+    await recordAudit(req, { action: 'create', entityType: 'User', after: savedUser });
+
+    res.status(201).json(savedUser);
+  } catch (error) {
+    sendError(res, error, 'Error creating user');
+  }
+});
+
+// PUT /api/users/:id - Update user name and role
+router.put('/:id', adminOnly, validate({ params: idParams, body: userUpdateBody }), async (req, res) => {
+  try {
+    const { fullName, role } = req.body;
+
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+
+    const previousUser = await User.findById(req.params.id).lean();
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      {
+        fullName: fullName?.trim(),
+        role,
+        updatedAt: Date.now()
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Access tokens carry the role, so tokens issued under the old one must stop working
+    if (previousUser && previousUser.role !== user.role) {
+      await revokeAllSessions(user._id);
+    }
+    await recordAudit(req, { action: 'update', entityType: 'User', before: previousUser, after: user });
+
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 'Error updating user');
+  }
+});
+
+// PATCH /api/users/:id/active - Toggle active status (disable / re-enable)
+router.patch('/:id/active', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot disable your own account' });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const previousUser = user.toObject();
+    user.isActive = !user.isActive;
+    user.updatedAt = Date.now();
+
+    const updatedUser = await user.save();
+
+    if (!updatedUser.isActive) {
+      await revokeAllSessions(updatedUser._id);
+    }
+    await recordAudit(req, { action: 'update', entityType: 'User', before: previousUser, after: updatedUser });
+
+    res.json(updatedUser);
+  } catch (error) {
+    sendError(res, error, 'Error updating user status');
+  }
+});
+
+// PATCH /api/users/:id/password - Reset another user's password
+router.patch('/:id/password', adminOnly, validate({ params: idParams, body: passwordResetBody }), async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await user.setPassword(password);
+    await user.save();
+    await revokeAllSessions(user._id);
+    await recordAudit(req, { action: 'password-reset', entityType: 'User', before: user, after: user });
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error resetting password');
+  }
+});
+
+// POST /api/users/:id/logout-all - Revoke every session of a user
+router.post('/:id/logout-all', adminOnly, validate({ params: idParams }), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeAllSessions(user._id);
+    await recordAudit(req, { action: 'logout-all', entityType: 'User', before: user, after: user });
+
+    res.json({ message: 'All sessions revoked' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking sessions');
+  }
+});
+
+export default router;
@@ -3,6 +3,8 @@ import dotenv from 'dotenv';
 import Subject from './models/Subject.js';
 import Group from './models/Group.js';
 import Student from './models/Student.js';
+import Enrollment from './models/Enrollment.js';
+import Transfer from './models/Transfer.js';
 import TestResult from './models/TestResult.js';
 import Achievement from './models/Achievement.js';
 import Graduate from './models/Graduate.js';
@@ -67,6 +69,8 @@ const createTestData = async () => {
       TestResult.deleteMany({}),
       Group.deleteMany({}),
       Student.deleteMany({}),
+      Enrollment.deleteMany({}),
+      Transfer.deleteMany({}),
       Subject.deleteMany({}),
       Achievement.deleteMany({}),
       Graduate.deleteMany({})
@@ -127,6 +131,11 @@ const createTestData = async () => {
       });
       const savedStudent = await student.save();
       students.push(savedStudent);
+      await new Enrollment({
+        student: savedStudent._id,
+        group: targetGroup._id,
+        startDate: new Date('2024-09-01')
+      }).save();
       
       // Add student to the group's students array
       if (!targetGroup.students) {
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Enrollment from '../models/Enrollment.js';
+import { buildAttendance, groupAttendanceReport } from '../utils/attendance.js';
+
+test('marks of students not enrolled on the lesson date are rejected', async (t) => {
+  t.mock.method(Enrollment, 'distinct', async () => ['student-1']);
+
+  await assert.rejects(
+    buildAttendance({
+      group: 'group-1',
+      date: new Date('2026-01-10'),
+      marks: [{ student: 'student-1', status: 'present' }, { student: 'student-2', status: 'absent' }],
+      field: 'attendance'
+    }),
+    error => error.status === 422 && error.errors.length === 1 && error.errors[0].field === 'attendance[1].student'
+  );
+});
+
+test('the group report counts every mark once per student', () => {
+  const lessons = Array.from({ length: 3 }, (_, index) => ({
+    date: new Date(Date.UTC(2026, 0, index + 1)),
+    attendance: [
+      { student: 'student-1', status: 'present' },
+      { student: 'student-2', status: index === 0 ? 'absent' : 'late' }
+    ]
+  }));
+
+  const report = groupAttendanceReport(lessons, new Map());
+  const second = report.students.find(row => String(row.student._id) === 'student-2');
+  assert.equal(second.marks, 3);
+  assert.equal(second.absent, 1);
+  assert.equal(second.late, 2);
+});
@@ -0,0 +1,174 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Enrollment from '../models/Enrollment.js';
+import Student from '../models/Student.js';
+import Transfer from '../models/Transfer.js';
+import { applyDueTransfers, cancelTransfer, reassignPrimaryGroup, transferStudent, withdrawStudent } from '../utils/enrollment.js';
+
+const groupA = new mongoose.Types.ObjectId();
+const groupB = new mongoose.Types.ObjectId();
+
+const newStudent = (t, group) => {
+  const student = new Student({ firstName: 'Ali', lastName: 'Valiyev', school: '12', grade: '9', group });
+  t.mock.method(student, 'save', async () => student);
+  return student;
+};
+
+// Enrollment.findOne(...).sort(...) resolving to `enrollment`
+const mockNextEnrollment = (t, enrollment) =>
+  t.mock.method(Enrollment, 'findOne', () => ({ sort: async () => enrollment }));
+
+test('ending the primary group with no other enrollment clears the group', async (t) => {
+  const student = newStudent(t, groupA);
+  mockNextEnrollment(t, null);
+
+  assert.equal(await reassignPrimaryGroup(student, groupA), true);
+  assert.equal(student.group, null);
+  assert.equal(student.save.mock.callCount(), 1);
+});
+
+test('ending the primary group moves it to another active enrollment', async (t) => {
+  const student = newStudent(t, groupA);
+  mockNextEnrollment(t, { group: groupB });
+
+  assert.equal(await reassignPrimaryGroup(student, groupA), true);
+  assert.equal(String(student.group), String(groupB));
+});
+
+test('ending another group leaves the primary group alone', async (t) => {
+  const student = newStudent(t, groupA);
+  const findOne = mockNextEnrollment(t, null);
+
+  assert.equal(await reassignPrimaryGroup(student, groupB), false);
+  assert.equal(String(student.group), String(groupA));
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+// transferStudent with the model writes replaced by in-memory stand-ins
+const mockTransferWrites = (t, { failTransfer = false } = {}) => {
+  const current = new Enrollment({ student: new mongoose.Types.ObjectId(), group: groupA, startDate: new Date('2025-09-01') });
+  const saved = [];
+  t.mock.method(Enrollment, 'findOne', async () => current);
+  t.mock.method(Enrollment, 'exists', async () => null);
+  t.mock.method(Enrollment.prototype, 'save', async function() { saved.push(this.toObject()); return this; });
+  t.mock.method(Transfer.prototype, 'save', async function() {
+    if (failTransfer) throw new Error('write failed');
+    return this;
+  });
+  const restored = t.mock.method(Enrollment, 'updateOne', async () => ({}));
+  const removed = t.mock.method(Enrollment, 'deleteOne', async () => ({}));
+  return { current, saved, restored, removed };
+};
+
+test('a transfer dated in the future keeps the old enrollment active until then', async (t) => {
+  const { current, saved } = mockTransferWrites(t);
+  const date = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+  const transfer = await transferStudent({ student: current.student, fromGroup: groupA, toGroup: groupB, date });
+
+  assert.equal(transfer.status, 'pending');
+  assert.equal(current.status, 'active');
+  assert.equal(current.endDate.getTime(), date.getTime());
+  assert.equal(current.hasEnded(), false);
+  assert.equal(current.hasEnded(new Date(date.getTime() + 1)), true);
+  assert.equal(saved[1].startDate.getTime(), date.getTime());
+});
+
+test('a transfer dated today completes the old enrollment', async (t) => {
+  const { current } = mockTransferWrites(t);
+
+  const transfer = await transferStudent({ student: current.student, fromGroup: groupA, toGroup: groupB });
+
+  assert.equal(transfer.status, 'completed');
+  assert.equal(current.status, 'completed');
+});
+
+test('a failed transfer undoes the enrollment changes', async (t) => {
+  const { current, saved, restored, removed } = mockTransferWrites(t, { failTransfer: true });
+
+  await assert.rejects(
+    transferStudent({ student: current.student, fromGroup: groupA, toGroup: groupB }),
+    /write failed/
+  );
+
+  assert.deepEqual(restored.mock.calls[0].arguments, [{ _id: current._id }, { status: 'active', endDate: null }]);
+  assert.deepEqual(removed.mock.calls[0].arguments, [{ _id: saved[1]._id }]);
+});
+
+const pendingTransfer = (date) => new Transfer({
+  student: new mongoose.Types.ObjectId(),
+  fromGroup: groupA,
+  toGroup: groupB,
+  date,
+  status: 'pending'
+});
+
+test('a due transfer completes the old enrollment and moves the primary group', async (t) => {
+  const transfer = pendingTransfer(new Date(Date.now() - 60 * 1000));
+  t.mock.method(Transfer, 'find', () => ({ select: () => ({ lean: async () => [{ _id: transfer._id }] }) }));
+  const claim = t.mock.method(Transfer, 'findOneAndUpdate', async () => transfer);
+  const enrollmentUpdate = t.mock.method(Enrollment, 'updateOne', async () => ({}));
+  const studentUpdate = t.mock.method(Student, 'updateOne', async () => ({}));
+
+  assert.equal(await applyDueTransfers(), 1);
+  assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [{ _id: transfer._id, status: 'pending' }, { status: 'completed' }]);
+  assert.deepEqual(enrollmentUpdate.mock.calls[0].arguments[0], {
+    student: transfer.student, group: groupA, status: 'active', endDate: transfer.date
+  });
+  assert.equal(enrollmentUpdate.mock.calls[0].arguments[1].status, 'completed');
+  assert.deepEqual(studentUpdate.mock.calls[0].arguments[0], { _id: transfer.student, group: groupA });
+  assert.equal(studentUpdate.mock.calls[0].arguments[1].group, groupB);
+});
+
+test('a transfer claimed elsewhere is not applied twice', async (t) => {
+  const transfer = pendingTransfer(new Date(Date.now() - 60 * 1000));
+  t.mock.method(Transfer, 'find', () => ({ select: () => ({ lean: async () => [{ _id: transfer._id }] }) }));
+  t.mock.method(Transfer, 'findOneAndUpdate', async () => null);
+  const studentUpdate = t.mock.method(Student, 'updateOne', async () => ({}));
+
+  assert.equal(await applyDueTransfers(), 0);
+  assert.equal(studentUpdate.mock.callCount(), 0);
+});
+
+test('cancelling a pending transfer removes the future enrollment and reopens the old one', async (t) => {
+  const transfer = pendingTransfer(new Date(Date.now() + 7 * 24 * 60 * 60 * 1000));
+  t.mock.method(Transfer, 'findOneAndUpdate', async () => { transfer.status = 'cancelled'; return transfer; });
+  const removed = t.mock.method(Enrollment, 'deleteOne', async () => ({}));
+  const restored = t.mock.method(Enrollment, 'updateOne', async () => ({}));
+
+  const cancelled = await cancelTransfer(transfer._id, transfer.student);
+
+  assert.equal(cancelled.status, 'cancelled');
+  assert.deepEqual(removed.mock.calls[0].arguments, [{ student: transfer.student, group: groupB, status: 'active', startDate: transfer.date }]);
+  assert.deepEqual(restored.mock.calls[0].arguments[0], { student: transfer.student, group: groupA, status: 'active', endDate: transfer.date });
+  assert.equal(restored.mock.calls[0].arguments[1].endDate, null);
+});
+
+test('a transfer that has taken effect cannot be cancelled', async (t) => {
+  const transfer = pendingTransfer(new Date(Date.now() - 60 * 1000));
+  t.mock.method(Transfer, 'findOneAndUpdate', async () => null);
+  t.mock.method(Transfer, 'exists', async () => ({ _id: transfer._id }));
+  const removed = t.mock.method(Enrollment, 'deleteOne', async () => ({}));
+
+  await assert.rejects(cancelTransfer(transfer._id, transfer.student), { status: 409, code: 'TRANSFER_NOT_PENDING' });
+  assert.equal(removed.mock.callCount(), 0);
+});
+
+test('withdrawing removes enrollments that have not started and cancels pending transfers', async (t) => {
+  const student = new mongoose.Types.ObjectId();
+  const endDate = new Date('2026-03-01');
+  const calls = [];
+  const removed = t.mock.method(Enrollment, 'deleteMany', async () => { calls.push('delete'); });
+  const cancelled = t.mock.method(Transfer, 'updateMany', async () => ({}));
+  const withdrawn = t.mock.method(Enrollment, 'updateMany', async () => { calls.push('withdraw'); });
+
+  await withdrawStudent(student, endDate);
+
+  assert.deepEqual(removed.mock.calls[0].arguments, [{ student, status: 'active', startDate: { $gt: endDate } }]);
+  assert.deepEqual(cancelled.mock.calls[0].arguments, [{ student, status: 'pending', date: { $gt: endDate } }, { status: 'cancelled' }]);
+  assert.deepEqual(withdrawn.mock.calls[0].arguments[0], { student, ...Enrollment.openAt(endDate) });
+  assert.equal(withdrawn.mock.calls[0].arguments[1].status, 'withdrawn');
+  // Removing first keeps future enrollments from being stamped with an end before their start
+  assert.deepEqual(calls, ['delete', 'withdraw']);
+});
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { computeEntry, exactPercentage, rankBy, sectionTotals, storedPercentage, summarizeEntries } from '../utils/scores.js';
+import { rankTestEntries } from '../utils/leaderboard.js';
+import { removeEntryPipeline, upsertEntryPipeline } from '../utils/resultEntries.js';
+
+const sections = [
+  { name: 'Math', maxScore: 30, weight: 3.1 },
+  { name: 'Reading', maxScore: 20, weight: 1.5 },
+  { name: 'Logic', maxScore: 10 }
+];
+
+test('section totals weight each score and count missing sections as 0', () => {
+  const totals = sectionTotals(sections, [
+    { section: 'Math', score: 25 },
+    { section: 'Logic', score: 7 }
+  ]);
+
+  assert.deepEqual(totals, { score: 84.5, maxScore: 133 });
+});
+
+test('computeEntry fills score, maxScore and the stored percentage from sections', () => {
+  const entry = computeEntry({ student: 'a', sectionScores: [{ section: 'Reading', score: 20 }] }, sections);
+
+  assert.equal(entry.score, 30);
+  assert.equal(entry.maxScore, 133);
+  assert.equal(entry.percentage, 23);
+  assert.equal(entry.student, 'a');
+});
+
+test('computeEntry keeps score and defaults maxScore without sections', () => {
+  assert.deepEqual(computeEntry({ score: 42 }), { score: 42, maxScore: 100, percentage: 42 });
+});
+
+test('rankBy shares ranks between equal values and skips the next rank', () => {
+  const items = [{ key: 'a', value: 80 }, { key: 'b', value: 95 }, { key: 'c', value: 80 }, { key: 'd', value: 60 }];
+  const ranks = rankBy(items, item => item.key, item => item.value);
+
+  assert.deepEqual(Object.fromEntries(ranks), { b: 1, a: 2, c: 2, d: 4 });
+});
+
+test('near-equal weighted scores are ranked apart even when their stored percentages tie', () => {
+  // 84.5 and 84.8 of 133 both round to 64%
+  const results = [
+    { _id: new mongoose.Types.ObjectId(), student: 'a', score: 84.5, maxScore: 133, percentage: 64 },
+    { _id: new mongoose.Types.ObjectId(), student: 'b', score: 84.8, maxScore: 133, percentage: 64 },
+    { _id: new mongoose.Types.ObjectId(), student: 'c', score: 84.5, maxScore: 133, percentage: 64 }
+  ];
+  const ranked = rankTestEntries(results);
+
+  assert.deepEqual(ranked.map(entry => [entry.student, entry.rank, entry.percentage]), [
+    ['b', 1, 64],
+    ['a', 2, 64],
+    ['c', 2, 64]
+  ]);
+  assert.notEqual(exactPercentage(results[0]), exactPercentage(results[1]));
+});
+
+// Evaluates the subset of aggregation expressions the entry pipelines use, so the
+// recomputed fields can be checked without a database
+const NOW = new Date('2026-01-15T10:00:00Z');
+
+const fieldPath = (path, variables) => {
+  const [root, ...parts] = path.startsWith('$$') ? path.slice(2).split('.') : ['CURRENT', ...path.slice(1).split('.')];
+  return parts.reduce((value, part) => (Array.isArray(value)
+    ? value.map(item => item?.[part])
+    : value?.[part]), variables[root]);
+};
+
+const evaluate = (expression, variables) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) return fieldPath(expression, variables);
+  if (Array.isArray(expression)) return expression.map(item => evaluate(item, variables));
+  if (expression === null || typeof expression !== 'object' || expression instanceof mongoose.Types.ObjectId) return expression;
+
+  const [operator] = Object.keys(expression);
+  const argument = expression[operator];
+  const args = () => evaluate(argument, variables);
+  const each = (input, as, run) => evaluate(input, variables).map(item => run({ ...variables, [as]: item }));
+  const same = (a, b) => String(a) === String(b);
+
+  switch (operator) {
+    case '$literal': return argument;
+    case '$cond': {
+      const [condition, then, otherwise] = argument;
+      return evaluate(condition, variables) ? evaluate(then, variables) : evaluate(otherwise, variables);
+    }
+    case '$eq': { const [a, b] = args(); return same(a, b); }
+    case '$ne': { const [a, b] = args(); return !same(a, b); }
+    case '$in': { const [value, list] = args(); return list.some(item => same(item, value)); }
+    case '$map': return each(argument.input, argument.as, scope => evaluate(argument.in, scope));
+    case '$filter': return evaluate(argument.input, variables)
+      .filter(item => evaluate(argument.cond, { ...variables, [argument.as]: item }));
+    case '$mergeObjects': return Object.assign({}, ...args());
+    case '$concatArrays': return args().flat();
+    case '$size': return evaluate(argument, variables).length;
+    case '$avg': {
+      const values = evaluate(argument, variables);
+      return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+    case '$ifNull': { const [value, fallback] = args(); return value ?? fallback; }
+    case '$floor': return Math.floor(evaluate(argument, variables));
+    case '$add': return args().reduce((sum, value) => sum + value, 0);
+    case '$multiply': return args().reduce((product, value) => product * value, 1);
+    case '$divide': { const [a, b] = args(); return a / b; }
+    default: return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(value, variables)]));
+  }
+};
+
+const runPipeline = (document, pipeline) => pipeline.reduce((current, stage) => ({
+  ...current,
+  ...evaluate(stage.$set, { CURRENT: current, NOW })
+}), document);
+
+const studentA = new mongoose.Types.ObjectId();
+const studentB = new mongoose.Types.ObjectId();
+
+const testResult = () => ({
+  results: [
+    { student: studentA, ...computeEntry({ score: 84.5, maxScore: 133 }) },
+    { student: studentB, ...computeEntry({ score: 50 }) }
+  ],
+  totalStudents: 2,
+  averageScore: 57
+});
+
+test('replacing one entry recomputes its percentage and the test summary', () => {
+  const { sectionScores, ...totals } = computeEntry({ sectionScores: [{ section: 'Math', score: 30 }] }, sections);
+  const updated = runPipeline(testResult(), upsertEntryPipeline(studentA, { ...totals, sectionScores }));
+
+  const entry = updated.results.find(result => String(result.student) === String(studentA));
+  assert.equal(entry.score, 93);
+  assert.equal(entry.percentage, storedPercentage(93, 133));
+  assert.equal(updated.results.length, 2);
+  assert.deepEqual(
+    { averageScore: updated.averageScore, totalStudents: updated.totalStudents },
+    summarizeEntries(updated.results)
+  );
+  assert.equal(updated.updatedAt, NOW);
+});
+
+test('adding an entry appends it with its percentage', () => {
+  const studentC = new mongoose.Types.ObjectId();
+  const updated = runPipeline(testResult(), upsertEntryPipeline(studentC, { score: 67.5, maxScore: 100 }));
+
+  const entry = updated.results.at(-1);
+  assert.equal(String(entry.student), String(studentC));
+  assert.equal(entry.percentage, 68);
+  assert.equal(updated.totalStudents, 3);
+  assert.equal(updated.averageScore, (64 + 50 + 68) / 3);
+});
+
+test('removing an entry recomputes the test summary', () => {
+  const updated = runPipeline(testResult(), removeEntryPipeline(studentB));
+
+  assert.deepEqual(updated.results.map(result => String(result.student)), [String(studentA)]);
+  assert.equal(updated.totalStudents, 1);
+  assert.equal(updated.averageScore, 64);
+});
+
+test('removing the last entry leaves an average of 0', () => {
+  const document = { results: [testResult().results[0]] };
+  const updated = runPipeline(document, removeEntryPipeline(studentA));
+
+  assert.equal(updated.totalStudents, 0);
+  assert.equal(updated.averageScore, 0);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PassThrough } from 'node:stream';
+import { streamSpreadsheet } from '../utils/spreadsheet.js';
+
+// A response whose buffer is always full, so every write waits for 'drain'
+const backpressuredResponse = () => {
+  const res = new PassThrough({ highWaterMark: 1 });
+  res.status = () => res;
+  res.setHeader = () => {};
+  return res;
+};
+
+test('export stops and closes the cursor when the client disconnects', async () => {
+  const res = backpressuredResponse();
+  let closed = false;
+  const rows = {
+    async *[Symbol.asyncIterator]() {
+      for (let index = 0; index < 1000; index++) yield { name: `Row ${index}` };
+    },
+    close: async () => { closed = true; }
+  };
+
+  const exporting = streamSpreadsheet(res, {
+    format: 'csv',
+    filename: 'rows',
+    columns: [{ header: 'Name', value: row => row.name }],
+    rows
+  });
+  setImmediate(() => res.destroy());
+
+  await assert.rejects(exporting, /Client disconnected/);
+  assert.equal(closed, true);
+});
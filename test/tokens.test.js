@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { isAccessTokenRevoked, revokeAllSessions, rotateRefreshToken } from '../utils/tokens.js';
+
+test('two concurrent refreshes with one token only rotate it once', async (t) => {
+  const user = new User({ username: 'teacher', role: 'teacher', isActive: true });
+  const stored = new RefreshToken({
+    user: user._id,
+    tokenHash: 'hash',
+    family: 'family',
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  });
+
+  // In-memory stand-in for the atomic claim: only the first update matches
+  let claimed = false;
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async () => {
+    if (claimed) return null;
+    claimed = true;
+    return stored;
+  });
+  t.mock.method(RefreshToken, 'findOne', async () => ({ ...stored.toObject(), revokedAt: new Date() }));
+  const revokeFamily = t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+  const created = t.mock.method(RefreshToken, 'create', async () => ({}));
+  t.mock.method(RefreshToken, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findById', async () => user);
+
+  const req = { ip: '127.0.0.1', headers: {} };
+  const results = await Promise.allSettled([rotateRefreshToken('token', req), rotateRefreshToken('token', req)]);
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  const rejected = results.find(result => result.status === 'rejected');
+  assert.equal(rejected.reason.message, 'Refresh token reuse detected');
+  assert.equal(created.mock.callCount(), 1);
+  assert.equal(revokeFamily.mock.callCount(), 1);
+});
+
+test('revoking all sessions rejects a token issued earlier in the same second', async (t) => {
+  const user = new User({ username: 'teacher', role: 'teacher', isActive: true });
+  const userUpdate = t.mock.method(User, 'updateOne', async () => ({}));
+  t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+
+  // Issued a few milliseconds before the revocation, within the same second
+  const now = Date.now();
+  const payload = { id: user._id.toString(), iat: Math.floor(now / 1000), jti: 'jti' };
+  await revokeAllSessions(user._id);
+
+  const { tokensValidAfter } = userUpdate.mock.calls[0].arguments[1];
+  assert.ok(tokensValidAfter.getTime() >= now);
+  t.mock.method(RevokedToken, 'exists', async () => null);
+  t.mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => ({ isActive: true, tokensValidAfter }) }) }));
+
+  assert.equal(await isAccessTokenRevoked(payload), true);
+  assert.equal(await isAccessTokenRevoked({ ...payload, iat: Math.floor(tokensValidAfter.getTime() / 1000) + 1 }), false);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import express from 'express';
+import multer from 'multer';
+import { discardUploadOnError } from '../middleware/upload.js';
+
+// Posts one file to a route answering with `status` and resolves to the stored file's path
+const uploadWithStatus = async (status) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+  const upload = multer({ dest: dir });
+  let storedPath;
+
+  const app = express();
+  app.post('/', upload.single('image'), discardUploadOnError, (req, res) => {
+    storedPath = req.file.path;
+    res.status(status).json({});
+  });
+
+  const server = app.listen(0);
+  await once(server, 'listening');
+  try {
+    const body = new FormData();
+    body.append('image', new Blob(['image']), 'photo.png');
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/`, { method: 'POST', body });
+    await response.text();
+    await new Promise(resolve => setTimeout(resolve, 50)); // Let the unlink finish
+    return storedPath;
+  } finally {
+    server.close();
+  }
+};
+
+test('the upload is removed when the request is rejected', async () => {
+  for (const status of [400, 403, 404]) {
+    assert.equal(fs.existsSync(await uploadWithStatus(status)), false);
+  }
+});
+
+test('the upload is kept when the request succeeds', async () => {
+  assert.equal(fs.existsSync(await uploadWithStatus(201)), true);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validate } from '../middleware/validate.js';
+import { testResultBody } from '../validators/testResults.js';
+import { scheduleBody } from '../validators/groups.js';
+import { attendanceBody, lessonBody } from '../validators/lessons.js';
+import { loginBody } from '../validators/auth.js';
+import { passwordChangeBody, userCreateBody } from '../validators/users.js';
+
+// Runs the middleware on a body and resolves to { status, body } or { next: true }
+const run = (schema, body) => {
+  const req = { body, query: {}, params: {} };
+  let result = { next: false };
+  const res = {
+    status(code) { result.status = code; return this; },
+    json(payload) { result.body = payload; return this; }
+  };
+  validate({ body: schema })(req, res, () => { result = { next: true, body: req.body }; });
+  return result;
+};
+
+const itemError = (result, field) => result.body.errors.find(error => error.field === field);
+
+test('null test result entries are rejected', () => {
+  const result = run(testResultBody, {
+    group: '507f1f77bcf86cd799439011',
+    testName: 'Mock test',
+    testDate: '2026-01-10',
+    results: [null]
+  });
+  assert.equal(result.status, 400);
+  assert.equal(itemError(result, 'results[0]').message, 'is required');
+});
+
+test('null schedule slots are rejected', () => {
+  const result = run(scheduleBody, { slots: [null] });
+  assert.equal(result.status, 400);
+  assert.equal(itemError(result, 'slots[0]').message, 'is required');
+});
+
+test('null attendance marks are rejected', () => {
+  for (const schema of [attendanceBody, lessonBody]) {
+    const result = run(schema, { date: '2026-01-10', marks: [null] });
+    assert.equal(result.status, 400);
+    assert.equal(itemError(result, 'marks[0]').message, 'is required');
+  }
+});
+
+test('valid array items pass', () => {
+  const result = run(scheduleBody, { slots: [{ dayOfWeek: '1', startTime: '09:00', endTime: '10:30' }] });
+  assert.equal(result.next, true);
+  assert.deepEqual(result.body.slots, [{ dayOfWeek: 1, startTime: '09:00', endTime: '10:30' }]);
+});
+
+test('passwords keep surrounding whitespace while other strings are trimmed', () => {
+  const login = run(loginBody, { username: '  admin ', password: ' secret ' });
+  assert.equal(login.next, true);
+  assert.equal(login.body.username, 'admin');
+  assert.equal(login.body.password, ' secret ');
+
+  const created = run(userCreateBody, { username: 'teacher', password: '  long enough  ', role: 'teacher' });
+  assert.equal(created.body.password, '  long enough  ');
+
+  const changed = run(passwordChangeBody, { currentPassword: 'old pass ', newPassword: ' new password' });
+  assert.deepEqual(changed.body, { currentPassword: 'old pass ', newPassword: ' new password' });
+});
@@ -0,0 +1,113 @@
+import Enrollment from '../models/Enrollment.js';
+import { ApiError } from './errors.js';
+import { round } from './scores.js';
+import { periodKey } from './statistics.js';
+
+// Attendance rate: present and late lessons over all marked lessons,
+// leaving out excused absences
+export const summarizeMarks = (marks) => {
+  const counts = { present: 0, absent: 0, late: 0, excused: 0 };
+  for (const mark of marks) counts[mark.status]++;
+
+  const counted = marks.length - counts.excused;
+  return {
+    marks: marks.length,
+    ...counts,
+    attendanceRate: counted > 0 ? round(((counts.present + counts.late) / counted) * 100) : null
+  };
+};
+
+// Marks of a list of lessons as { lesson, student, status } rows
+const markRows = (lessons) => lessons.flatMap(lesson =>
+  lesson.attendance.map(mark => ({ lesson, student: String(mark.student), status: mark.status }))
+);
+
+const groupRows = (rows, keyOf) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+};
+
+// Report for a group's lessons: overall, per student and per month
+export const groupAttendanceReport = (lessons, studentsById) => {
+  const rows = markRows(lessons);
+
+  return {
+    lessonsCount: lessons.length,
+    overall: summarizeMarks(rows),
+    students: [...groupRows(rows, row => row.student)].map(([studentId, studentRows]) => ({
+      student: studentsById.get(studentId) || { _id: studentId },
+      ...summarizeMarks(studentRows)
+    })).sort((a, b) => (a.attendanceRate ?? 101) - (b.attendanceRate ?? 101)), // Lowest attendance first
+    months: [...groupRows(rows, row => periodKey(row.lesson.date, 'month'))].map(([month, monthRows]) => ({
+      month,
+      lessonsCount: new Set(monthRows.map(row => String(row.lesson._id))).size,
+      ...summarizeMarks(monthRows)
+    })).sort((a, b) => a.month.localeCompare(b.month))
+  };
+};
+
+// Report for one student across groups: overall, per group, per month and each mark
+export const studentAttendanceReport = (lessons, studentId) => {
+  const rows = markRows(lessons).filter(row => row.student === String(studentId));
+
+  return {
+    overall: summarizeMarks(rows),
+    groups: [...groupRows(rows, row => String(row.lesson.group?._id ?? row.lesson.group))].map(([, groupMarks]) => ({
+      group: groupMarks[0].lesson.group,
+      ...summarizeMarks(groupMarks)
+    })),
+    months: [...groupRows(rows, row => periodKey(row.lesson.date, 'month'))].map(([month, monthRows]) => ({
+      month,
+      ...summarizeMarks(monthRows)
+    })).sort((a, b) => a.month.localeCompare(b.month)),
+    records: rows.map(row => {
+      const mark = row.lesson.attendance.find(candidate => String(candidate.student) === row.student);
+      return {
+        lessonId: row.lesson._id,
+        date: row.lesson.date,
+        topic: row.lesson.topic,
+        group: row.lesson.group,
+        status: mark.status,
+        note: mark.note
+      };
+    })
+  };
+};
+
+// Builds a lesson's marks: the listed marks plus `defaultStatus` for every other
+// student enrolled in the group on the lesson date. Listed students must be
+// enrolled then too. Throws an ApiError (422) listing every problem by row, naming
+// the marks after `field`.
+export const buildAttendance = async ({ group, date, marks = [], defaultStatus, field = 'marks' }) => {
+  const enrolledIds = (await Enrollment.distinct('student', { group, ...Enrollment.coveringDate(date) })).map(String);
+  const enrolled = new Set(enrolledIds);
+
+  const errors = [];
+  const seen = new Set();
+  marks.forEach((mark, index) => {
+    const studentId = String(mark.student);
+    if (seen.has(studentId)) {
+      errors.push({ location: 'body', field: `${field}[${index}].student`, row: index, message: 'is already marked' });
+    } else if (!enrolled.has(studentId)) {
+      errors.push({ location: 'body', field: `${field}[${index}].student`, row: index, message: 'was not enrolled in this group on the lesson date' });
+    }
+    seen.add(studentId);
+  });
+
+  if (errors.length > 0) {
+    throw new ApiError(422, 'Some attendance marks are invalid', 'INVALID_ATTENDANCE', errors);
+  }
+
+  const attendance = marks.map(mark => ({ student: mark.student, status: mark.status, note: mark.note }));
+  if (defaultStatus) {
+    for (const studentId of enrolledIds) {
+      if (!seen.has(studentId)) attendance.push({ student: studentId, status: defaultStatus });
+    }
+  }
+  return attendance;
+};
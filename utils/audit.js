@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+// Bookkeeping and secret fields that never belong in a diff
+const IGNORED_FIELDS = new Set(['_id', '__v', 'id', 'createdAt', 'updatedAt', 'passwordHash', 'tokensValidAfter', 'lastLoginAt', 'parentAccess']);
+
+// Plain JSON snapshot with populated refs collapsed back to ids
+const snapshot = (doc) => {
+  if (!doc) return undefined;
+  const plain = doc instanceof mongoose.Document ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Array items are matched by student (test result entries) or _id so that
+// reordering or re-saving an array does not show up as a change
+const itemKey = (item, index) => {
+  if (isPlainObject(item)) return String(item.student ?? item._id ?? index);
+  return String(index);
+};
+
+const toKeyedObject = (value) => {
+  if (!Array.isArray(value) || !value.some(isPlainObject)) return value;
+  return Object.fromEntries(value.map((item, index) => [itemKey(item, index), item]));
+};
+
+// Field-level diff between two snapshots as [{ field, before, after }]
+export const diffSnapshots = (before, after, prefix = '') => {
+  const changes = [];
+  const left = toKeyedObject(before);
+  const right = toKeyedObject(after);
+
+  if (isPlainObject(left) && isPlainObject(right)) {
+    const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+    for (const key of keys) {
+      if (!prefix && IGNORED_FIELDS.has(key)) continue;
+      if (prefix && (key === '_id' || key === 'id')) continue;
+      changes.push(...diffSnapshots(left[key], right[key], prefix ? `${prefix}.${key}` : key));
+    }
+    return changes;
+  }
+
+  if (JSON.stringify(left) !== JSON.stringify(right)) {
+    changes.push({ field: prefix, before: left ?? null, after: right ?? null });
+  }
+  return changes;
+};
+
+// Records who changed what. Failures are logged and swallowed so that
+// auditing never breaks the request that triggered it.
+export const recordAudit = async (req, { action, entityType, before, after }) => {
+  try {
+    const beforeSnapshot = snapshot(before);
+    const afterSnapshot = snapshot(after);
+    const changes = diffSnapshots(beforeSnapshot || {}, afterSnapshot || {});
+
+    // Nothing actually changed on an update
+    if (action === 'update' && changes.length === 0) return;
+
+    await AuditLog.create({
+      actor: req.user ? { id: req.user.id, username: req.user.username, role: req.user.role } : undefined,
+      action,
+      method: req.method,
+      route: req.originalUrl,
+      entityType,
+      entityId: afterSnapshot?._id || beforeSnapshot?._id,
+      changes,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('Audit log xatosi:', error.message);
+  }
+};
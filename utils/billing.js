@@ -0,0 +1,150 @@
+import Enrollment from '../models/Enrollment.js';
+import Fee from '../models/Fee.js';
+import Discount from '../models/Discount.js';
+import Payment from '../models/Payment.js';
+import { ApiError } from './errors.js';
+
+// Longest period a balance or revenue report may cover
+export const MAX_REPORT_MONTHS = 60;
+
+// "YYYY-MM" of a date (UTC)
+export const monthKey = (date) => new Date(date).toISOString().slice(0, 7);
+
+// First moment of the month and of the month after it
+export const monthBounds = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, monthNumber - 1, 1)),
+    end: new Date(Date.UTC(year, monthNumber, 1))
+  };
+};
+
+// The month `count` months after (or, when negative, before) `month`
+export const addMonths = (month, count) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return monthKey(new Date(Date.UTC(year, monthNumber - 1 + count, 1)));
+};
+
+// Every month from `from` to `to`, inclusive
+export const monthRange = (from, to) => {
+  if (from > to) {
+    throw new ApiError(400, 'Invalid period', 'INVALID_PERIOD', [{ location: 'query', field: 'from', message: 'must not be after to' }]);
+  }
+  const months = [];
+  for (let month = from; month <= to; month = monthKey(monthBounds(month).end)) {
+    months.push(month);
+    if (months.length > MAX_REPORT_MONTHS) {
+      throw new ApiError(400, 'Invalid period', 'INVALID_PERIOD', [{ location: 'query', field: 'from', message: `period must not exceed ${MAX_REPORT_MONTHS} months` }]);
+    }
+  }
+  return months;
+};
+
+const covers = (discount, month) => discount.startMonth <= month && (!discount.endMonth || discount.endMonth >= month);
+
+// Fee after discounts. Percentages add up (at most 100%) and are taken first,
+// then fixed amounts. The charge never goes below zero.
+export const applyDiscounts = (fee, discounts) => {
+  const percentage = Math.min(100, discounts
+    .filter(discount => discount.type === 'percentage')
+    .reduce((sum, discount) => sum + discount.value, 0));
+  const fixed = discounts
+    .filter(discount => discount.type === 'fixed')
+    .reduce((sum, discount) => sum + discount.value, 0);
+  return Math.max(0, Math.round(fee * (1 - percentage / 100) - fixed));
+};
+
+// Fee of the group in a month: the latest definition that is already in effect.
+// `fees` must be sorted by effectiveFrom.
+const feeInMonth = (fees, month) => {
+  let current;
+  for (const fee of fees) {
+    if (fee.effectiveFrom > month) break;
+    current = fee;
+  }
+  return current ? current.amount : 0;
+};
+
+// Monthly charges and payments per student, group and month. A student is charged
+// the full fee for every month in which they were enrolled in the group for at least a day.
+// Returns [{ student, group, month, fee, charged, paid, balance }] where a positive
+// balance is debt and a negative one is credit.
+export const computeBalances = ({ enrollments, fees, discounts, payments, months }) => {
+  const feesByGroup = new Map();
+  for (const fee of [...fees].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))) {
+    const key = String(fee.group);
+    if (!feesByGroup.has(key)) feesByGroup.set(key, []);
+    feesByGroup.get(key).push(fee);
+  }
+
+  const entries = new Map();
+  const entryFor = (student, group, month) => {
+    const key = `${student}|${group}|${month}`;
+    if (!entries.has(key)) {
+      entries.set(key, { student, group, month, fee: 0, charged: 0, paid: 0, balance: 0 });
+    }
+    return entries.get(key);
+  };
+
+  for (const enrollment of enrollments) {
+    const student = String(enrollment.student);
+    const group = String(enrollment.group);
+    for (const month of months) {
+      const { start, end } = monthBounds(month);
+      if (enrollment.startDate >= end || (enrollment.endDate && enrollment.endDate < start)) continue;
+
+      const entry = entryFor(student, group, month);
+      if (entry.fee) continue; // Already charged through another enrollment
+
+      entry.fee = feeInMonth(feesByGroup.get(group) || [], month);
+      const applicable = discounts.filter(discount => String(discount.student) === student
+        && (!discount.group || String(discount.group) === group)
+        && covers(discount, month));
+      entry.charged = applyDiscounts(entry.fee, applicable);
+    }
+  }
+
+  for (const payment of payments) {
+    entryFor(String(payment.student), String(payment.group), payment.month).paid += payment.amount;
+  }
+
+  return [...entries.values()]
+    .map(entry => ({ ...entry, balance: entry.charged - entry.paid }))
+    .sort((a, b) => a.month.localeCompare(b.month) || a.group.localeCompare(b.group));
+};
+
+// Loads everything computeBalances needs for the students and/or groups matched by
+// `condition` ({ student } and/or { group }, each an id or a query condition)
+export const loadBalances = async (condition, months) => {
+  const first = monthBounds(months[0]).start;
+  const last = months[months.length - 1];
+  const afterLast = monthBounds(last).end;
+
+  const enrollments = await Enrollment.find({
+    ...condition,
+    startDate: { $lt: afterLast },
+    $or: [{ endDate: null }, { endDate: { $gte: first } }]
+  }).select('student group startDate endDate').lean();
+
+  const groupIds = [...new Set(enrollments.map(enrollment => String(enrollment.group)))];
+  const studentIds = [...new Set(enrollments.map(enrollment => String(enrollment.student)))];
+
+  const [fees, discounts, payments] = await Promise.all([
+    Fee.find({ group: { $in: groupIds }, effectiveFrom: { $lte: last } }).select('group amount effectiveFrom').lean(),
+    Discount.find({
+      student: { $in: studentIds },
+      startMonth: { $lte: last },
+      $or: [{ endMonth: null }, { endMonth: { $gte: months[0] } }]
+    }).select('student group type value startMonth endMonth').lean(),
+    Payment.find({ ...condition, month: { $gte: months[0], $lte: last } }).select('student group month amount').lean()
+  ]);
+
+  return computeBalances({ enrollments, fees, discounts, payments, months });
+};
+
+// Adds up charged, paid and balance of some balance entries
+export const totalBalance = (entries) => entries.reduce((totals, entry) => ({
+  charged: totals.charged + entry.charged,
+  paid: totals.paid + entry.paid,
+  balance: totals.balance + entry.balance
+}), { charged: 0, paid: 0, balance: 0 });
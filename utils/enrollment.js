@@ -0,0 +1,152 @@
+import Enrollment from '../models/Enrollment.js';
+import Student from '../models/Student.js';
+import Transfer from '../models/Transfer.js';
+import { ApiError } from './errors.js';
+
+// Ids of the students actively enrolled in a group, where `groupCondition` is
+// a group id or a query condition such as { $in: ids }
+export const enrolledStudentIds = async (groupCondition) =>
+  Enrollment.distinct('student', { group: groupCondition, ...Enrollment.inEffect() });
+
+// Ids (strings) of the groups a student is actively enrolled in
+export const activeGroupIds = async (studentId) => {
+  const groupIds = await Enrollment.distinct('group', { student: studentId, ...Enrollment.inEffect() });
+  return groupIds.map(String);
+};
+
+// Opens an enrollment unless the student is already active in the group.
+// Resolves to the new enrollment, or null when there already was one.
+export const enrollStudent = async ({ student, group, startDate = new Date(), notes }) => {
+  const existing = await Enrollment.exists({ student, group, ...Enrollment.openAt(startDate) });
+  if (existing) return null;
+  return new Enrollment({ student, group, startDate, notes }).save();
+};
+
+// Ends the student's active enrollment in a group, if any
+export const endEnrollment = async ({ student, group, endDate = new Date(), status = 'completed' }) =>
+  Enrollment.findOneAndUpdate(
+    { student, group, ...Enrollment.openAt(endDate) },
+    { status, endDate, updatedAt: Date.now() },
+    { new: true }
+  );
+
+// After an enrollment in `endedGroup` ended: when that was the student's primary
+// group, the primary group moves to another group the student still attends, or is
+// cleared when there is none. Resolves to true when the student was changed.
+export const reassignPrimaryGroup = async (student, endedGroup) => {
+  if (String(student.group) !== String(endedGroup)) return false;
+
+  const nextEnrollment = await Enrollment.findOne({ student: student._id, ...Enrollment.openAt() }).sort({ startDate: -1 });
+  student.group = nextEnrollment ? nextEnrollment.group : null;
+  await student.save();
+  return true;
+};
+
+// Withdraws a deactivated student from every group they still attend. Enrollments
+// that have not started yet, such as the target of a pending transfer, are removed
+// rather than ended before they began, and the pending transfers are cancelled.
+export const withdrawStudent = async (student, endDate = new Date()) => {
+  await Enrollment.deleteMany({ student, status: 'active', startDate: { $gt: endDate } });
+  await Transfer.updateMany({ student, status: 'pending', date: { $gt: endDate } }, { status: 'cancelled' });
+  return Enrollment.updateMany(
+    { student, ...Enrollment.openAt(endDate) },
+    { status: 'withdrawn', endDate, updatedAt: Date.now() }
+  );
+};
+
+// Moves a student from one group to another on `date`: the enrollment in `fromGroup`
+// ends and one in `toGroup` starts on that date. A transfer dated in the future keeps
+// the old enrollment active and is saved as pending until applyDueTransfers runs.
+// Resolves to the saved Transfer. Updating Student.group is left to the caller.
+export const transferStudent = async ({ student, fromGroup, toGroup, date = new Date(), reason, performedBy }) => {
+  if (String(fromGroup) === String(toGroup)) {
+    throw new ApiError(400, 'Validation failed', 'VALIDATION_ERROR', [{ location: 'body', field: 'toGroup', message: 'must differ from fromGroup' }]);
+  }
+
+  // An enrollment that already has an end date is being transferred already
+  const [current, alreadyEnrolled] = await Promise.all([
+    Enrollment.findOne({ student, group: fromGroup, status: 'active', endDate: null }),
+    Enrollment.exists({ student, group: toGroup, ...Enrollment.openAt(date) })
+  ]);
+  if (!current) {
+    throw new ApiError(409, 'Student is not enrolled in the group they are transferred from', 'NOT_ENROLLED');
+  }
+  if (alreadyEnrolled) {
+    throw new ApiError(409, 'Student is already enrolled in this group', 'DUPLICATE_KEY');
+  }
+  if (date < current.startDate) {
+    throw new ApiError(400, 'Validation failed', 'VALIDATION_ERROR', [{ location: 'body', field: 'date', message: 'must not be before the student joined the group' }]);
+  }
+
+  // The writes depend on each other, so a failure part way undoes the earlier ones
+  const takesEffect = date <= new Date();
+  let next;
+  try {
+    current.status = takesEffect ? 'completed' : 'active';
+    current.endDate = date;
+    await current.save();
+    next = await new Enrollment({ student, group: toGroup, startDate: date, notes: reason }).save();
+
+    return await new Transfer({
+      student,
+      fromGroup,
+      toGroup,
+      date,
+      reason,
+      performedBy,
+      status: takesEffect ? 'completed' : 'pending'
+    }).save();
+  } catch (error) {
+    await Promise.all([
+      Enrollment.updateOne({ _id: current._id }, { status: 'active', endDate: null }),
+      next && Enrollment.deleteOne({ _id: next._id })
+    ]).catch(rollbackError => console.error('Error rolling back transfer:', rollbackError.message));
+    throw error;
+  }
+};
+
+// Completes the pending transfers whose date has come: the old enrollment is marked
+// completed and the primary group follows the student when it still is the old group.
+// Resolves to the number of transfers applied.
+export const applyDueTransfers = async (now = new Date()) => {
+  const due = await Transfer.find({ status: 'pending', date: { $lte: now } }).select('_id').lean();
+
+  let applied = 0;
+  for (const { _id } of due) {
+    // Claiming the transfer first keeps a concurrent sweep or cancellation from applying it twice
+    const transfer = await Transfer.findOneAndUpdate({ _id, status: 'pending' }, { status: 'completed' }, { new: true });
+    if (!transfer) continue;
+
+    const { student, fromGroup, toGroup, date } = transfer;
+    await Enrollment.updateOne(
+      { student, group: fromGroup, status: 'active', endDate: date },
+      { status: 'completed', updatedAt: Date.now() }
+    );
+    await Student.updateOne({ _id: student, group: fromGroup }, { group: toGroup, updatedAt: Date.now() });
+    applied++;
+  }
+  return applied;
+};
+
+// Cancels a transfer that has not taken effect yet: the enrollment in the target group
+// is removed and the one in the old group stays open. Resolves to the cancelled Transfer.
+export const cancelTransfer = async (transferId, studentId) => {
+  const transfer = await Transfer.findOneAndUpdate(
+    { _id: transferId, student: studentId, status: 'pending', date: { $gt: new Date() } },
+    { status: 'cancelled' },
+    { new: true }
+  );
+  if (!transfer) {
+    const exists = await Transfer.exists({ _id: transferId, student: studentId });
+    if (!exists) throw new ApiError(404, 'Transfer not found');
+    throw new ApiError(409, 'Only transfers that have not taken effect yet can be cancelled', 'TRANSFER_NOT_PENDING');
+  }
+
+  const { student, fromGroup, toGroup, date } = transfer;
+  await Enrollment.deleteOne({ student, group: toGroup, status: 'active', startDate: date });
+  await Enrollment.updateOne(
+    { student, group: fromGroup, status: 'active', endDate: date },
+    { endDate: null, updatedAt: Date.now() }
+  );
+  return transfer;
+};
@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+import multer from 'multer';
+
+// Every error response has the shape { message, code, errors? }.
+// `code` is a stable machine-readable string; `message` is for people.
+export const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  422: 'VALIDATION_ERROR',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Thrown (or passed to multer callbacks) when a specific response is wanted
+export class ApiError extends Error {
+  constructor(status, message, code = ERROR_CODES[status], errors) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+const DB_UNAVAILABLE_ERRORS = [
+  'MongoTimeoutError',
+  'MongoServerSelectionError',
+  'MongooseServerSelectionError',
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError'
+];
+
+const isDbUnavailable = (error) =>
+  DB_UNAVAILABLE_ERRORS.includes(error.name) || /buffering timed out/.test(error.message || '');
+
+// Translates known error types into { status, body }. Returns null for unknown errors.
+export const mapError = (error) => {
+  if (error instanceof ApiError) {
+    return { status: error.status, body: { message: error.message, code: error.code, errors: error.errors } };
+  }
+
+  if (error instanceof mongoose.Error.CastError) {
+    return { status: 400, body: { message: `Invalid ${error.path}`, code: 'INVALID_ID', errors: [{ field: error.path, message: 'must be a valid id' }] } };
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(error.errors).map(fieldError => ({ field: fieldError.path, message: fieldError.message }));
+    return { status: 422, body: { message: 'Validation failed', code: 'VALIDATION_ERROR', errors } };
+  }
+
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return {
+      status: 409,
+      body: {
+        message: 'A record with the same values already exists',
+        code: 'DUPLICATE_KEY',
+        errors: fields.map(field => ({ field, message: 'must be unique' }))
+      }
+    };
+  }
+
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return { status: 413, body: { message: 'File is too large', code: 'FILE_TOO_LARGE' } };
+    }
+    return { status: 400, body: { message: error.message, code: 'UPLOAD_ERROR', errors: error.field ? [{ field: error.field, message: error.message }] : undefined } };
+  }
+
+  if (isDbUnavailable(error)) {
+    return { status: 503, body: { message: 'Database connection unavailable', code: 'DB_UNAVAILABLE' } };
+  }
+
+  // body-parser failures
+  if (error.type === 'entity.parse.failed') {
+    return { status: 400, body: { message: 'Malformed JSON body', code: 'INVALID_JSON' } };
+  }
+  if (error.type === 'entity.too.large') {
+    return { status: 413, body: { message: 'Request body is too large', code: 'PAYLOAD_TOO_LARGE' } };
+  }
+
+  return null;
+};
+
+// Answers a request that failed with `error`. Unknown errors become a 500 with the
+// route's own message; internal details are only included outside production.
+export const sendError = (res, error, fallbackMessage = 'Something went wrong!') => {
+  // A streamed export already sent its headers; all that is left is to cut it short
+  if (res.headersSent) {
+    console.error(fallbackMessage, error);
+    return res.destroy(error);
+  }
+
+  const mapped = mapError(error);
+  if (mapped) {
+    return res.status(mapped.status).json(mapped.body);
+  }
+
+  console.error(fallbackMessage, error);
+  res.status(500).json({
+    message: fallbackMessage,
+    code: 'INTERNAL_ERROR',
+    error: process.env.NODE_ENV === 'production' ? undefined : error.message
+  });
+};
@@ -0,0 +1,122 @@
+import Subject from '../models/Subject.js';
+import { ApiError } from './errors.js';
+import { round, entryPercentage } from './scores.js';
+
+// Used when neither the test nor its subject defines a scale: the usual
+// 5-point school scale (86+ a'lo, 71+ yaxshi, 56+ qoniqarli)
+export const DEFAULT_GRADING_SCALE = {
+  passMark: 56,
+  bands: [
+    { minPercentage: 86, grade: '5' },
+    { minPercentage: 71, grade: '4' },
+    { minPercentage: 56, grade: '3' },
+    { minPercentage: 0, grade: '2' }
+  ]
+};
+
+const hasBands = (scale) => Boolean(scale && scale.bands && scale.bands.length > 0);
+
+// The test's own scale wins over its subject's, which wins over the default
+export const resolveGradingScale = (testResult, subject) => {
+  if (hasBands(testResult?.gradingScale)) return testResult.gradingScale;
+  if (hasBands(subject?.gradingScale)) return subject.gradingScale;
+  return DEFAULT_GRADING_SCALE;
+};
+
+// Bands from the highest minimum down, as plain objects
+const sortedBands = (scale) => scale.bands
+  .map(({ minPercentage, grade }) => ({ minPercentage, grade }))
+  .sort((a, b) => b.minPercentage - a.minPercentage);
+
+export const gradeFor = (percentage, scale) => {
+  const band = sortedBands(scale).find(candidate => percentage >= candidate.minPercentage);
+  return { grade: band ? band.grade : null, passed: percentage >= scale.passMark };
+};
+
+// Grade counts (every grade of the scale, highest first) and pass rate of graded entries
+export const gradeSummary = (gradedEntries, scale) => {
+  // An array rather than an object, because numeric keys like "5" would lose the order
+  const counts = sortedBands(scale).map(band => ({ grade: band.grade, count: 0 }));
+  for (const entry of gradedEntries) {
+    if (entry.grade === null) continue;
+    let row = counts.find(candidate => candidate.grade === entry.grade);
+    if (!row) {
+      row = { grade: entry.grade, count: 0 }; // From another test's own scale
+      counts.push(row);
+    }
+    row.count++;
+  }
+  const passed = gradedEntries.filter(entry => entry.passed).length;
+  return {
+    counts,
+    passed,
+    failed: gradedEntries.length - passed,
+    passRate: gradedEntries.length ? round((passed / gradedEntries.length) * 100) : null
+  };
+};
+
+// Bands are told apart by their minimum, and a 0 band makes sure every percentage gets a grade
+export const assertValidGradingScale = (scale, field = 'gradingScale') => {
+  if (!scale) return;
+  const errors = [];
+  const seen = new Set();
+  scale.bands.forEach((band, index) => {
+    if (seen.has(band.minPercentage)) {
+      errors.push({ location: 'body', field: `${field}.bands[${index}].minPercentage`, message: 'is used by another band' });
+    }
+    seen.add(band.minPercentage);
+  });
+  if (!seen.has(0)) {
+    errors.push({ location: 'body', field: `${field}.bands`, message: 'must include a band with minPercentage 0' });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(422, 'Grading scale is invalid', 'INVALID_GRADING_SCALE', errors);
+  }
+};
+
+// Subject of a test result: the copied reference, or the (populated) group's subject
+const subjectIdOf = (testResult) => {
+  const subject = testResult.subject ?? testResult.group?.subject;
+  return subject ? String(subject._id ?? subject) : undefined;
+};
+
+// Loads the subjects of many test results with one query, keyed by id
+export const loadSubjectScales = async (testResults) => {
+  const ids = [...new Set(testResults.map(subjectIdOf).filter(Boolean))];
+  const subjects = ids.length
+    ? await Subject.find({ _id: { $in: ids } }).select('gradingScale').lean()
+    : [];
+  return new Map(subjects.map(subject => [String(subject._id), subject]));
+};
+
+export const scaleOf = (testResult, subjectsById) =>
+  resolveGradingScale(testResult, subjectsById.get(subjectIdOf(testResult)));
+
+// Plain copies of test results (documents or lean) with a grade and pass/fail on
+// every entry, the scale that was applied and the group's grade counts.
+// `gradingScale` itself stays the test's own override, if any.
+export const withGrades = async (testResults) => {
+  const list = [].concat(testResults).filter(Boolean);
+  const subjectsById = await loadSubjectScales(list);
+
+  const graded = list.map(testResult => {
+    const data = typeof testResult.toJSON === 'function' ? testResult.toJSON() : { ...testResult };
+    const scale = scaleOf(data, subjectsById);
+    data.results = (data.results || []).map(entry => ({ ...entry, ...gradeFor(entryPercentage(entry), scale) }));
+    data.appliedGradingScale = { passMark: scale.passMark, bands: sortedBands(scale) };
+    data.gradeSummary = gradeSummary(data.results, scale);
+    return data;
+  });
+
+  return Array.isArray(testResults) ? graded : graded[0] ?? testResults;
+};
+
+// Grade counts over many tests of one subject, each test graded with its own scale
+export const gradeSummaryOfTests = (testResults, subject) => {
+  const graded = testResults.flatMap(testResult => {
+    const scale = resolveGradingScale(testResult, subject);
+    return testResult.results.map(entry => gradeFor(entryPercentage(entry), scale));
+  });
+  return gradeSummary(graded, resolveGradingScale(null, subject));
+};
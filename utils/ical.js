@@ -0,0 +1,87 @@
+// Minimal iCalendar (RFC 5545) writer for weekly group schedules
+
+const BYDAY = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+// Local time zone of the center. Uzbekistan has no daylight saving time,
+// so a fixed UTC offset describes it completely.
+const getTimezone = () => ({
+  id: process.env.TIMETABLE_TIMEZONE || 'Asia/Tashkent',
+  offset: process.env.TIMETABLE_UTC_OFFSET || '+0500'
+});
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const chunks = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let size = chunks.length ? 74 : 75;
+    while ((rest[size] & 0xc0) === 0x80) size--; // Do not split a UTF-8 character
+    chunks.push(rest.subarray(0, size).toString());
+    rest = rest.subarray(size);
+  }
+  chunks.push(rest.toString());
+  return chunks.join('\r\n ');
+};
+
+const utcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// First date on or after `from` that falls on `dayOfWeek` (1 = Monday), as YYYYMMDD
+const firstOccurrence = (from, dayOfWeek) => {
+  const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+  const current = ((date.getUTCDay() + 6) % 7) + 1;
+  date.setUTCDate(date.getUTCDate() + ((dayOfWeek - current + 7) % 7));
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+};
+
+const localTime = (time) => `${time.replace(':', '')}00`;
+
+// Calendar with one weekly recurring event per schedule slot of the group
+export const groupCalendar = (group, { host = 'localhost' } = {}) => {
+  const timezone = getTimezone();
+  const now = new Date();
+  const starts = group.createdAt ? new Date(group.createdAt) : now;
+  const summary = group.subject?.name ? `${group.name} (${group.subject.name})` : group.name;
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Education Platform//Timetable//UZ',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(summary)}`,
+    `X-WR-TIMEZONE:${timezone.id}`,
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone.id}`,
+    'BEGIN:STANDARD',
+    'DTSTART:19700101T000000',
+    `TZOFFSETFROM:${timezone.offset}`,
+    `TZOFFSETTO:${timezone.offset}`,
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+
+  for (const slot of group.schedule || []) {
+    const day = firstOccurrence(starts, slot.dayOfWeek);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${slot._id}@${host}`,
+      `DTSTAMP:${utcStamp(now)}`,
+      `DTSTART;TZID=${timezone.id}:${day}T${localTime(slot.startTime)}`,
+      `DTEND;TZID=${timezone.id}:${day}T${localTime(slot.endTime)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[slot.dayOfWeek - 1]}`,
+      `SUMMARY:${escapeText(summary)}`
+    );
+    if (slot.room) lines.push(`LOCATION:${escapeText(slot.room)}`);
+    if (group.teacherName) lines.push(`DESCRIPTION:${escapeText(`O'qituvchi: ${group.teacherName}`)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
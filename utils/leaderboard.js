@@ -0,0 +1,111 @@
+import Student from '../models/Student.js';
+import { round, entryPercentage, exactPercentage, average, rankBy } from './scores.js';
+
+// TestResult filter for the leaderboard query options (date range, published)
+export const leaderboardFilter = ({ from, to, published }) => {
+  const filter = {};
+  if (published !== undefined) filter.isPublished = published;
+  if (from || to) {
+    filter.testDate = {};
+    if (from) filter.testDate.$gte = from;
+    if (to) filter.testDate.$lte = to;
+  }
+  return filter;
+};
+
+// Ranks the entries of one test by their unrounded score ratio, ties sharing a rank.
+// Entries of one test share maxScore, so this is the order of the weighted scores.
+export const rankTestEntries = (results) => {
+  const ranks = rankBy(results, entry => entry._id.toString(), exactPercentage);
+  return results
+    .map(entry => ({
+      student: entry.student,
+      score: entry.score,
+      maxScore: entry.maxScore,
+      percentage: round(entryPercentage(entry)),
+      sectionScores: entry.sectionScores?.length ? entry.sectionScores : undefined,
+      grade: entry.grade, // Present when the entries were graded (utils/grading.js)
+      passed: entry.passed,
+      rank: ranks.get(entry._id.toString())
+    }))
+    .sort((a, b) => a.rank - b.rank);
+};
+
+// Cumulative standings over many tests: each student is ranked by their average
+// percentage across the tests they took. Students with fewer than `minTests`
+// tests are left out. Tests must be sorted by date so `group` is the latest one.
+export const buildLeaderboard = async (testResults, { minTests = 1 } = {}) => {
+  const totals = new Map();
+
+  for (const testResult of testResults) {
+    for (const entry of testResult.results) {
+      const key = entry.student.toString();
+      const total = totals.get(key) || { student: key, percentages: [], exact: [], totalScore: 0, totalMaxScore: 0 };
+      total.percentages.push(entryPercentage(entry));
+      total.exact.push(exactPercentage(entry));
+      total.totalScore += entry.score;
+      total.totalMaxScore += entry.maxScore || 100;
+      total.group = testResult.group;
+      totals.set(key, total);
+    }
+  }
+
+  const rows = [...totals.values()]
+    .filter(total => total.percentages.length >= minTests)
+    .map(total => ({
+      student: total.student,
+      exactAverage: average(total.exact),
+      group: total.group,
+      testsTaken: total.percentages.length,
+      averagePercentage: round(average(total.percentages)),
+      bestPercentage: round(Math.max(...total.percentages)),
+      totalScore: total.totalScore,
+      totalMaxScore: total.totalMaxScore
+    }));
+
+  // Rank by the unrounded average; the rounded one is for display only
+  const ranks = rankBy(rows, row => row.student, row => row.exactAverage);
+  rows.forEach(row => {
+    row.rank = ranks.get(row.student);
+    delete row.exactAverage;
+  });
+  rows.sort((a, b) => a.rank - b.rank);
+
+  // Attach names in one query
+  const students = await Student.find({ _id: { $in: rows.map(row => row.student) } })
+    .select('firstName lastName')
+    .lean();
+  const studentsById = new Map(students.map(student => [student._id.toString(), student]));
+  rows.forEach(row => { row.student = studentsById.get(row.student) || { _id: row.student }; });
+
+  return rows;
+};
+
+// Ranks groups by the average of their tests' average percentages
+export const buildGroupStandings = (testResults) => {
+  const byGroup = new Map();
+
+  for (const testResult of testResults) {
+    const key = testResult.group.toString();
+    const group = byGroup.get(key) || { group: key, averages: [], exact: [], students: new Set() };
+    group.averages.push(average(testResult.results.map(entryPercentage)) ?? 0);
+    group.exact.push(average(testResult.results.map(exactPercentage)) ?? 0);
+    testResult.results.forEach(entry => group.students.add(entry.student.toString()));
+    byGroup.set(key, group);
+  }
+
+  const rows = [...byGroup.values()].map(group => ({
+    group: group.group,
+    exactAverage: average(group.exact),
+    testsCount: group.averages.length,
+    studentsCount: group.students.size,
+    averagePercentage: round(average(group.averages))
+  }));
+
+  const ranks = rankBy(rows, row => row.group, row => row.exactAverage);
+  rows.forEach(row => {
+    row.rank = ranks.get(row.group);
+    delete row.exactAverage;
+  });
+  return rows.sort((a, b) => a.rank - b.rank);
+};
@@ -0,0 +1,69 @@
+// Storage for rate limit counters and login lockouts.
+//
+// The default MemoryStore keeps everything in this process, which is enough for
+// a single instance. Multi-instance deployments should call setRateLimitStore()
+// at startup with a shared implementation (e.g. Redis) of the same async interface:
+//
+//   increment(key, windowMs) -> { count, resetAt }  counts hits in a fixed window
+//   get(key)                 -> value | null
+//   set(key, value, ttlMs)
+//   delete(key)
+
+export class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired entries so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async increment(key, windowMs) {
+    const entry = this.getEntry(key);
+    if (entry) {
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    }
+
+    const expiresAt = Date.now() + windowMs;
+    this.entries.set(key, { value: 1, expiresAt });
+    return { count: 1, resetAt: expiresAt };
+  }
+
+  async get(key) {
+    return this.getEntry(key)?.value ?? null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+let store = new MemoryStore();
+
+export const getRateLimitStore = () => store;
+
+export const setRateLimitStore = (newStore) => {
+  store = newStore;
+};
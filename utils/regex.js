@@ -0,0 +1,6 @@
+// Escapes user input for use inside a RegExp, so searches match literally
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const containsInsensitive = (text) => new RegExp(escapeRegExp(text), 'i');
+
+export const equalsInsensitive = (text) => new RegExp(`^${escapeRegExp(text)}$`, 'i');
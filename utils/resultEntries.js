@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Update pipelines for changing one TestResult.results entry in a single atomic update.
+// Each ends with summaryStage, which recomputes the summary fields from `results`
+// the same way the pre-save hook does.
+
+export const summaryStage = {
+  $set: {
+    totalStudents: { $size: '$results' },
+    averageScore: { $ifNull: [{ $avg: '$results.percentage' }, 0] },
+    updatedAt: '$$NOW'
+  }
+};
+
+// Math.round(score / maxScore * 100) as an aggregation expression
+export const percentageExpression = (entry) => ({
+  $floor: { $add: [{ $multiply: [{ $divide: [`${entry}.score`, `${entry}.maxScore`] }, 100] }, 0.5] }
+});
+
+// Replaces the student's entry with `changes` merged in, or appends a new entry
+// when the student has none yet, then restores its percentage
+export const upsertEntryPipeline = (student, changes) => {
+  const upsertEntry = {
+    $set: {
+      results: {
+        $cond: [
+          { $in: [student, '$results.student'] },
+          {
+            $map: {
+              input: '$results',
+              as: 'entry',
+              in: {
+                $cond: [
+                  { $eq: ['$$entry.student', student] },
+                  { $mergeObjects: ['$$entry', { $literal: changes }] },
+                  '$$entry'
+                ]
+              }
+            }
+          },
+          { $concatArrays: ['$results', [{ $literal: { _id: new mongoose.Types.ObjectId(), student, ...changes } }]] }
+        ]
+      }
+    }
+  };
+  const updatePercentage = {
+    $set: {
+      results: {
+        $map: {
+          input: '$results',
+          as: 'entry',
+          in: {
+            $cond: [
+              { $eq: ['$$entry.student', student] },
+              { $mergeObjects: ['$$entry', { percentage: percentageExpression('$$entry') }] },
+              '$$entry'
+            ]
+          }
+        }
+      }
+    }
+  };
+  return [upsertEntry, updatePercentage, summaryStage];
+};
+
+// Removes the student's entry
+export const removeEntryPipeline = (student) => [
+  {
+    $set: {
+      results: {
+        $filter: { input: '$results', as: 'entry', cond: { $ne: ['$$entry.student', student] } }
+      }
+    }
+  },
+  summaryStage
+];
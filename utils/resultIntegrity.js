@@ -0,0 +1,105 @@
+import Student from '../models/Student.js';
+import Enrollment from '../models/Enrollment.js';
+import { ApiError } from './errors.js';
+import { computeEntry } from './scores.js';
+
+// Checks a multi-section entry: a score for every section, within that section's
+// max score, and no sections the test does not define
+const checkSectionScores = (entry, sections, rowError, index) => {
+  const sectionScores = entry.sectionScores || [];
+  const sectionsByName = new Map(sections.map(section => [section.name, section]));
+  const seen = new Set();
+
+  sectionScores.forEach((sectionScore, position) => {
+    const section = sectionsByName.get(sectionScore.section);
+    const field = `sectionScores[${position}]`;
+    if (!section) {
+      rowError(index, `${field}.section`, 'is not a section of this test');
+    } else if (seen.has(section.name)) {
+      rowError(index, `${field}.section`, 'is listed twice');
+    } else if (sectionScore.score > section.maxScore) {
+      rowError(index, `${field}.score`, `must be at most the section's maxScore (${section.maxScore})`);
+    }
+    seen.add(sectionScore.section);
+  });
+
+  const missing = sections.filter(section => !seen.has(section.name)).map(section => section.name);
+  if (missing.length > 0) {
+    rowError(index, 'sectionScores', `is missing scores for: ${missing.join(', ')}`);
+  }
+};
+
+// Section names identify section scores, so they must be unique within a test
+export const assertValidSections = (sections = []) => {
+  const errors = [];
+  const seen = new Set();
+  sections.forEach((section, index) => {
+    if (seen.has(section.name)) {
+      errors.push({ location: 'body', field: `sections[${index}].name`, message: 'is used by another section' });
+    }
+    seen.add(section.name);
+  });
+
+  if (errors.length > 0) {
+    throw new ApiError(422, 'Some sections are invalid', 'INVALID_SECTIONS', errors);
+  }
+};
+
+// Checks the entries of a test against each other and against the database:
+// score within 0..maxScore (or complete section scores on multi-section tests),
+// each student once, and each student enrolled in the test's group on the test date.
+// Students and enrollments are loaded with one query each. `keepStudentIds` are
+// students already recorded on the test, who stay valid whatever their enrollments say.
+// Throws an ApiError (422) listing every problem by row.
+export const assertValidResultEntries = async (results, { group, testDate, sections = [], keepStudentIds = [] }) => {
+  const errors = [];
+  const rowError = (index, field, message) =>
+    errors.push({ location: 'body', field: `results[${index}].${field}`, row: index, message });
+
+  const firstRowOfStudent = new Map();
+  results.forEach((entry, index) => {
+    if (sections.length > 0) {
+      checkSectionScores(entry, sections, rowError, index);
+    } else if (entry.score === undefined) {
+      rowError(index, 'score', 'is required');
+    } else {
+      const { score, maxScore } = computeEntry(entry);
+      if (score > maxScore) {
+        rowError(index, 'score', `must be at most maxScore (${maxScore})`);
+      }
+    }
+
+    const studentId = String(entry.student);
+    if (firstRowOfStudent.has(studentId)) {
+      rowError(index, 'student', `is already listed on row ${firstRowOfStudent.get(studentId)}`);
+    } else {
+      firstRowOfStudent.set(studentId, index);
+    }
+  });
+
+  const studentIds = [...firstRowOfStudent.keys()];
+  const [students, enrolledIds] = await Promise.all([
+    Student.find({ _id: { $in: studentIds } }).select('_id').lean(),
+    Enrollment.distinct('student', {
+      student: { $in: studentIds },
+      group,
+      ...Enrollment.coveringDate(testDate)
+    })
+  ]);
+  const found = new Set(students.map(student => String(student._id)));
+  const enrolled = new Set(enrolledIds.map(String));
+  const keep = new Set(keepStudentIds.map(String));
+
+  for (const [studentId, index] of firstRowOfStudent) {
+    if (!found.has(studentId)) {
+      rowError(index, 'student', 'was not found');
+    } else if (!enrolled.has(studentId) && !keep.has(studentId)) {
+      rowError(index, 'student', 'was not enrolled in this group on the test date');
+    }
+  }
+
+  if (errors.length > 0) {
+    errors.sort((a, b) => a.row - b.row);
+    throw new ApiError(422, 'Some results are invalid', 'INVALID_RESULTS', errors);
+  }
+};
@@ -0,0 +1,41 @@
+import Group from '../models/Group.js';
+import { activeGroupIds } from './enrollment.js';
+
+// Teachers only manage the groups they are linked to; every other role is global.
+// Resolves to null for unrestricted callers, otherwise to the list of group id strings.
+export const getScopedGroupIds = async (req) => {
+  if (!req.user || req.user.role !== 'teacher') return null;
+
+  if (!req.scopedGroupIds) {
+    const groups = await Group.find({ teacher: req.user.id }).select('_id').lean();
+    req.scopedGroupIds = groups.map(group => group._id.toString());
+  }
+  return req.scopedGroupIds;
+};
+
+export const canManageGroup = async (req, groupId) => {
+  const groupIds = await getScopedGroupIds(req);
+  return groupIds === null || groupIds.includes(String(groupId));
+};
+
+// A student can be managed by the teachers of their primary group or of any
+// group they are actively enrolled in
+export const canManageStudent = async (req, student) => {
+  const groupIds = await getScopedGroupIds(req);
+  if (groupIds === null || groupIds.includes(String(student.group))) return true;
+
+  const enrolledGroupIds = await activeGroupIds(student._id);
+  return enrolledGroupIds.some(groupId => groupIds.includes(groupId));
+};
+
+// Narrows a `group` query condition to the caller's groups.
+// A requested group outside the caller's scope matches nothing.
+export const scopeGroupFilter = async (req, groupId) => {
+  const groupIds = await getScopedGroupIds(req);
+
+  if (groupIds === null) return groupId || undefined;
+  if (groupId) return groupIds.includes(String(groupId)) ? groupId : { $in: [] };
+  return { $in: groupIds };
+};
+
+export const groupForbidden = { message: 'You can only manage your own groups' };
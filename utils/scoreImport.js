@@ -0,0 +1,180 @@
+import { normalizeHeader } from './spreadsheet.js';
+import { sectionTotals } from './scores.js';
+
+// Turns spreadsheet rows into TestResult.results entries for one group
+
+// Accepted header spellings (after normalizeHeader), English and Uzbek
+const COLUMN_ALIASES = {
+  fullName: ['name', 'fullname', 'student', 'studentname', 'fio', 'ismfamiliya', 'oquvchi', 'talaba'],
+  firstName: ['firstname', 'first', 'ism'],
+  lastName: ['lastname', 'last', 'surname', 'familiya'],
+  score: ['score', 'points', 'ball', 'natija'],
+  maxScore: ['maxscore', 'max', 'outof', 'maksimalball', 'maxball'],
+  notes: ['notes', 'note', 'comment', 'izoh']
+};
+
+// Picks the spreadsheet column used for each field, or undefined when absent.
+// Multi-section tests read one column per section, headed by the section name.
+export const detectColumns = (headers, sections = []) => {
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    columns[field] = aliases.find(alias => headers.includes(alias));
+  }
+  if (sections.length > 0) {
+    columns.sections = {};
+    for (const section of sections) {
+      const header = normalizeHeader(section.name);
+      columns.sections[section.name] = headers.includes(header) ? header : undefined;
+    }
+  }
+  return columns;
+};
+
+// True when the columns hold names and scores (a score column, or every section's column)
+export const hasRequiredColumns = (columns) => {
+  const hasName = columns.fullName || (columns.firstName && columns.lastName);
+  const hasScores = columns.sections
+    ? Object.values(columns.sections).every(Boolean)
+    : columns.score;
+  return Boolean(hasName && hasScores);
+};
+
+const parseNumber = (text) => {
+  if (text === undefined || text === '') return NaN;
+  return Number(String(text).replace(',', '.'));
+};
+
+// Reads a row's section columns into sectionScores, or returns an error message
+const readSectionScores = (row, columns, sections) => {
+  const sectionScores = [];
+  for (const section of sections) {
+    const score = parseNumber(row[columns.sections[section.name]]);
+    if (Number.isNaN(score)) return { error: `Score for ${section.name} is missing or not a number` };
+    if (score < 0 || score > section.maxScore) {
+      return { error: `Score for ${section.name} must be between 0 and ${section.maxScore}` };
+    }
+    sectionScores.push({ section: section.name, score });
+  }
+  return { sectionScores };
+};
+
+// Lowercases, unifies the many apostrophes used in Uzbek Latin (o‘, g', ʻ)
+// and collapses whitespace so "O‘tkir  Karimov" matches "o'tkir karimov"
+export const normalizeName = (name) => String(name ?? '')
+  .toLowerCase()
+  .replace(/[‘’ʻʼ`´]/g, "'")
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const rowName = (row, columns) => {
+  if (columns.firstName && columns.lastName) {
+    return normalizeName(`${row[columns.firstName] || ''} ${row[columns.lastName] || ''}`);
+  }
+  return normalizeName(row[columns.fullName]);
+};
+
+// Index of the group's students by "first last" and "last first"
+const buildNameIndex = (students) => {
+  const index = new Map();
+  const add = (key, student) => {
+    const matches = index.get(key) || [];
+    if (!matches.includes(student)) matches.push(student);
+    index.set(key, matches);
+  };
+  for (const student of students) {
+    add(normalizeName(`${student.firstName} ${student.lastName}`), student);
+    add(normalizeName(`${student.lastName} ${student.firstName}`), student);
+  }
+  return index;
+};
+
+const studentSummary = (student) => ({
+  _id: student._id,
+  firstName: student.firstName,
+  lastName: student.lastName
+});
+
+// Matches each row to a student and validates its score.
+// `overrides` maps spreadsheet row numbers to student ids chosen by the user
+// for rows that could not be matched by name.
+// Every row gets a status: matched, unmatched, ambiguous, invalid or duplicate.
+export const matchScoreRows = (rows, columns, students, { maxScore = 100, overrides = [], sections = [] } = {}) => {
+  const nameIndex = buildNameIndex(students);
+  const studentsById = new Map(students.map(student => [String(student._id), student]));
+  const overridesByRow = new Map(overrides.map(override => [override.row, String(override.student)]));
+  const seen = new Map(); // student id -> row number
+
+  const report = rows.map(row => {
+    const name = rowName(row, columns);
+    const item = { row: row.rowNumber, name };
+
+    if (sections.length > 0) {
+      const { sectionScores, error } = readSectionScores(row, columns, sections);
+      if (error) {
+        return { ...item, status: 'invalid', message: error };
+      }
+      Object.assign(item, sectionTotals(sections, sectionScores), { sectionScores });
+    } else {
+      const rowMaxScore = columns.maxScore && row[columns.maxScore] !== undefined && row[columns.maxScore] !== ''
+        ? Number(row[columns.maxScore])
+        : maxScore;
+      const score = parseNumber(row[columns.score]);
+
+      if (Number.isNaN(score)) {
+        return { ...item, status: 'invalid', message: 'Score is missing or not a number' };
+      }
+      if (!Number.isFinite(rowMaxScore) || rowMaxScore < 1) {
+        return { ...item, status: 'invalid', message: 'Max score must be a number of at least 1' };
+      }
+      if (score < 0 || score > rowMaxScore) {
+        return { ...item, status: 'invalid', message: `Score must be between 0 and ${rowMaxScore}` };
+      }
+
+      item.score = score;
+      item.maxScore = rowMaxScore;
+    }
+    if (columns.notes && row[columns.notes]) item.notes = row[columns.notes];
+
+    let student;
+    if (overridesByRow.has(row.rowNumber)) {
+      student = studentsById.get(overridesByRow.get(row.rowNumber));
+      if (!student) {
+        return { ...item, status: 'unmatched', message: 'Chosen student is not in this group' };
+      }
+    } else {
+      const matches = nameIndex.get(name) || [];
+      if (matches.length === 0) {
+        return { ...item, status: 'unmatched', message: 'No student of this group has this name' };
+      }
+      if (matches.length > 1) {
+        return {
+          ...item,
+          status: 'ambiguous',
+          message: 'Several students of this group have this name',
+          candidates: matches.map(studentSummary)
+        };
+      }
+      [student] = matches;
+    }
+
+    const studentId = String(student._id);
+    if (seen.has(studentId)) {
+      return {
+        ...item,
+        status: 'duplicate',
+        message: `Student already matched on row ${seen.get(studentId)}`,
+        student: studentSummary(student)
+      };
+    }
+    seen.set(studentId, row.rowNumber);
+
+    return { ...item, status: 'matched', student: studentSummary(student) };
+  });
+
+  const summary = { total: report.length };
+  for (const status of ['matched', 'unmatched', 'ambiguous', 'invalid', 'duplicate']) {
+    summary[status] = report.filter(item => item.status === status).length;
+  }
+
+  return { rows: report, summary };
+};
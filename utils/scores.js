@@ -0,0 +1,83 @@
+// Score helpers shared by the reporting endpoints
+
+export const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Percentage of one TestResult.results entry, falling back to score/maxScore
+// for entries saved before percentages were stored
+export const entryPercentage = (entry) => {
+  if (entry.percentage !== undefined && entry.percentage !== null) return entry.percentage;
+  return (entry.score / (entry.maxScore || 100)) * 100;
+};
+
+// Unrounded percentage of an entry, for ranking. Stored percentages are rounded
+// to whole numbers, so near-equal weighted scores would otherwise tie.
+export const exactPercentage = (entry) => (entry.score / (entry.maxScore || 100)) * 100;
+
+// Stored percentage of an entry, as the TestResult model has always rounded it
+export const storedPercentage = (score, maxScore) => Math.round((score / (maxScore || 100)) * 100);
+
+// Weighted total of a multi-section entry: each section's score counts `weight` times,
+// so a section of 30 questions worth 3.1 points each is { maxScore: 30, weight: 3.1 }.
+// Missing section scores count as 0.
+export const sectionTotals = (sections, sectionScores = []) => {
+  const scores = new Map(sectionScores.map(sectionScore => [sectionScore.section, sectionScore.score]));
+  const totals = sections.reduce((sum, section) => ({
+    score: sum.score + (scores.get(section.name) ?? 0) * (section.weight ?? 1),
+    maxScore: sum.maxScore + section.maxScore * (section.weight ?? 1)
+  }), { score: 0, maxScore: 0 });
+  return { score: round(totals.score), maxScore: round(totals.maxScore) };
+};
+
+// Entry with score, maxScore (from its sections when the test has any) and percentage filled in
+export const computeEntry = (entry, sections = []) => {
+  const totals = sections.length
+    ? sectionTotals(sections, entry.sectionScores)
+    : { score: entry.score, maxScore: entry.maxScore ?? 100 };
+  return { ...entry, ...totals, percentage: storedPercentage(totals.score, totals.maxScore) };
+};
+
+// averageScore and totalStudents of a test, from entries with percentages
+export const summarizeEntries = (entries) => ({
+  averageScore: entries.length ? entries.reduce((sum, entry) => sum + entry.percentage, 0) / entries.length : 0,
+  totalStudents: entries.length
+});
+
+export const average = (values) =>
+  values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+// Standard competition ranking ("1224"): equal values share a rank and the
+// next rank skips accordingly. Returns a Map of key -> rank.
+export const rankBy = (items, getKey, getValue) => {
+  const sorted = [...items].sort((a, b) => getValue(b) - getValue(a));
+  const ranks = new Map();
+  sorted.forEach((item, index) => {
+    const previous = sorted[index - 1];
+    const rank = previous && getValue(previous) === getValue(item)
+      ? ranks.get(getKey(previous))
+      : index + 1;
+    ranks.set(getKey(item), rank);
+  });
+  return ranks;
+};
+
+// Average of each value with up to `window - 1` values before it
+export const movingAverages = (values, window) =>
+  values.map((value, index) => average(values.slice(Math.max(0, index - window + 1), index + 1)));
+
+// Least-squares slope of values over their position, i.e. change per test
+export const slope = (values) => {
+  const n = values.length;
+  if (n < 2) return 0;
+  const meanX = (n - 1) / 2;
+  const meanY = average(values);
+  let numerator = 0;
+  let denominator = 0;
+  values.forEach((value, index) => {
+    numerator += (index - meanX) * (value - meanY);
+    denominator += (index - meanX) ** 2;
+  });
+  return numerator / denominator;
+};
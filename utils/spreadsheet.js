@@ -0,0 +1,168 @@
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import { ApiError } from './errors.js';
+
+export const SPREADSHEET_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Header cells are matched loosely: case, spaces and punctuation are ignored
+export const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9Ѐ-ӿ]/g, '');
+
+const cellText = (cell) => {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return String(value.result); // Formula
+    if (value.text !== undefined) return String(value.text); // Hyperlink
+    if (value instanceof Date) return value.toISOString();
+  }
+  return String(value);
+};
+
+// Reads the first worksheet of a CSV or XLSX file into row objects keyed by
+// normalized header. Each row also carries its 1-based spreadsheet row number.
+export const readSpreadsheet = async (buffer, filename) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  try {
+    if (extension === '.xlsx') {
+      await workbook.xlsx.load(buffer);
+    } else if (extension === '.csv') {
+      await workbook.csv.read(Readable.from(buffer));
+    } else {
+      throw new ApiError(415, 'Only .csv and .xlsx files are supported', 'UNSUPPORTED_FILE_TYPE');
+    }
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(400, 'The file could not be read as a spreadsheet', 'INVALID_SPREADSHEET');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet || sheet.rowCount === 0) {
+    throw new ApiError(400, 'The spreadsheet is empty', 'INVALID_SPREADSHEET');
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column] = normalizeHeader(cellText(cell));
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const values = { rowNumber };
+    let hasValue = false;
+    row.eachCell({ includeEmpty: false }, (cell, column) => {
+      if (!headers[column]) return;
+      const text = cellText(cell).trim();
+      values[headers[column]] = text;
+      if (text) hasValue = true;
+    });
+
+    if (hasValue) rows.push(values);
+  });
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const exportValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+  return value;
+};
+
+const csvCell = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Waits until a backpressured response can take more data. Rejects when the
+// client goes away instead, as 'drain' would then never come.
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', onError);
+  };
+  const onDrain = () => { cleanup(); resolve(); };
+  const onClose = () => { cleanup(); reject(new Error('Client disconnected during export')); };
+  const onError = (error) => { cleanup(); reject(error); };
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+  res.on('error', onError);
+});
+
+const assertConnected = (res) => {
+  if (res.destroyed) throw new Error('Client disconnected during export');
+};
+
+// Streams rows to the response as CSV or XLSX without building the file in memory.
+// `columns` are { header, width?, value(row) }; `rows` is any (async) iterable,
+// typically a Mongoose cursor, and may yield arrays of rows to emit several at once.
+// A cursor is closed when the export stops early, e.g. because the client disconnected.
+export const streamSpreadsheet = async (res, { format, filename, sheetName = 'Sheet1', columns, rows }) => {
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  const toValues = (row) => columns.map(column => exportValue(column.value(row)));
+  let completed = false;
+
+  try {
+    if (format === 'csv') {
+      // BOM so Excel opens UTF-8 (o‘, g‘) correctly
+      res.write('\ufeff' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+      for await (const item of rows) {
+        assertConnected(res);
+        for (const row of [].concat(item)) {
+          const line = toValues(row).map(csvCell).join(',') + '\r\n';
+          if (!res.write(line)) {
+            await waitForDrain(res);
+          }
+        }
+      }
+      completed = true;
+      res.end();
+      return;
+    }
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useSharedStrings: false, useStyles: true });
+    // Excel limits sheet names to 31 characters without : \ / ? * [ ]
+    const sheet = workbook.addWorksheet(sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+    sheet.columns = columns.map(column => ({ header: column.header, width: column.width || 16 }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    for await (const item of rows) {
+      assertConnected(res);
+      for (const row of [].concat(item)) {
+        sheet.addRow(toValues(row)).commit();
+      }
+    }
+    completed = true;
+
+    sheet.commit();
+    await workbook.commit();
+  } finally {
+    if (!completed && typeof rows.close === 'function') {
+      await rows.close();
+    }
+  }
+};
+
+// File name part for exports, e.g. "test-results-2026-10-18"
+export const exportFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}`;
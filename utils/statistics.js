@@ -0,0 +1,97 @@
+import { round, entryPercentage, average } from './scores.js';
+
+// Linear interpolation between closest ranks (same as Excel's QUARTILE.INC)
+export const quantile = (sorted, q) => {
+  if (!sorted.length) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+// Population standard deviation: a test's entries are the whole group, not a sample
+export const standardDeviation = (values) => {
+  if (!values.length) return null;
+  const mean = average(values);
+  return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
+};
+
+// Buckets of percentages: [0, size), [size, 2 * size), ... with 100 in the last bucket
+export const histogram = (percentages, bucketSize) => {
+  const buckets = [];
+  for (let from = 0; from < 100; from += bucketSize) {
+    buckets.push({ from, to: Math.min(from + bucketSize, 100), count: 0 });
+  }
+  for (const percentage of percentages) {
+    const index = Math.min(Math.floor(percentage / bucketSize), buckets.length - 1);
+    buckets[Math.max(index, 0)].count++;
+  }
+  return buckets;
+};
+
+// Summary of a list of percentages
+export const describe = (percentages, { passMark, bucketSize }) => {
+  const sorted = [...percentages].sort((a, b) => a - b);
+  const passed = sorted.filter(percentage => percentage >= passMark).length;
+  const roundOrNull = (value) => (value === null ? null : round(value));
+
+  return {
+    count: sorted.length,
+    min: roundOrNull(sorted.length ? sorted[0] : null),
+    max: roundOrNull(sorted.length ? sorted[sorted.length - 1] : null),
+    mean: roundOrNull(average(sorted)),
+    median: roundOrNull(quantile(sorted, 0.5)),
+    standardDeviation: roundOrNull(standardDeviation(sorted)),
+    quartiles: {
+      q1: roundOrNull(quantile(sorted, 0.25)),
+      q2: roundOrNull(quantile(sorted, 0.5)),
+      q3: roundOrNull(quantile(sorted, 0.75))
+    },
+    passMark,
+    passed,
+    passRate: sorted.length ? round((passed / sorted.length) * 100) : null,
+    histogram: histogram(sorted, bucketSize)
+  };
+};
+
+export const testStatistics = (testResult, options) =>
+  describe(testResult.results.map(entryPercentage), options);
+
+// "2026-10" for months; for weeks, the date of that week's Monday
+export const periodKey = (date, interval) => {
+  const day = new Date(date);
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+  }
+  return day.toISOString().slice(0, 7);
+};
+
+// Statistics of many tests (sorted by date): overall, per test and per period
+export const statisticsOverTime = (testResults, { interval, ...options }) => {
+  const periods = new Map();
+  for (const testResult of testResults) {
+    const key = periodKey(testResult.testDate, interval);
+    const period = periods.get(key) || { period: key, testsCount: 0, percentages: [] };
+    period.testsCount++;
+    period.percentages.push(...testResult.results.map(entryPercentage));
+    periods.set(key, period);
+  }
+
+  return {
+    testsCount: testResults.length,
+    overall: describe(testResults.flatMap(testResult => testResult.results.map(entryPercentage)), options),
+    tests: testResults.map(testResult => ({
+      testResultId: testResult._id,
+      testName: testResult.testName,
+      testDate: testResult.testDate,
+      group: testResult.group,
+      ...testStatistics(testResult, options)
+    })),
+    periods: [...periods.values()].map(({ period, testsCount, percentages }) => ({
+      period,
+      testsCount,
+      ...describe(percentages, options)
+    }))
+  };
+};
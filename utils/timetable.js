@@ -0,0 +1,85 @@
+import Group from '../models/Group.js';
+import { ApiError } from './errors.js';
+import { equalsInsensitive } from './regex.js';
+
+export const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// "HH:MM" times compare correctly as strings
+const overlaps = (a, b) => a.dayOfWeek === b.dayOfWeek && a.startTime < b.endTime && b.startTime < a.endTime;
+
+const sameRoom = (a, b) => Boolean(a.room && b.room) && a.room.trim().toLowerCase() === b.room.trim().toLowerCase();
+
+const describeSlot = (slot) => `${DAY_NAMES[slot.dayOfWeek - 1]} ${slot.startTime}-${slot.endTime}${slot.room ? ` (${slot.room})` : ''}`;
+
+// Finds overlaps of a group's slots with each other and with other groups that
+// share its teacher or a room. Resolves to a list of field errors.
+export const findScheduleConflicts = async ({ groupId, teacher, slots }) => {
+  const errors = [];
+  const slotError = (index, message) => errors.push({ location: 'body', field: `slots[${index}]`, message });
+
+  slots.forEach((slot, index) => {
+    if (slot.startTime >= slot.endTime) {
+      slotError(index, 'must end after it starts');
+    }
+    slots.slice(0, index).forEach((other, otherIndex) => {
+      if (overlaps(slot, other)) slotError(index, `overlaps slot ${otherIndex} of the same group`);
+    });
+  });
+
+  const days = [...new Set(slots.map(slot => slot.dayOfWeek))];
+  const rooms = [...new Set(slots.map(slot => slot.room?.trim()).filter(Boolean))];
+  if (days.length === 0) return errors;
+
+  const sharing = [];
+  if (teacher) sharing.push({ teacher });
+  if (rooms.length) sharing.push({ 'schedule.room': { $in: rooms.map(equalsInsensitive) } });
+  if (sharing.length === 0) return errors;
+
+  const others = await Group.find({
+    _id: { $ne: groupId },
+    'schedule.dayOfWeek': { $in: days },
+    $or: sharing
+  }).select('name teacher schedule').lean();
+
+  slots.forEach((slot, index) => {
+    for (const other of others) {
+      const sameTeacher = teacher && other.teacher && String(other.teacher) === String(teacher);
+      for (const otherSlot of other.schedule) {
+        if (!overlaps(slot, otherSlot)) continue;
+        if (sameTeacher) {
+          slotError(index, `teacher is already teaching ${other.name} on ${describeSlot(otherSlot)}`);
+        }
+        if (sameRoom(slot, otherSlot)) {
+          slotError(index, `room is taken by ${other.name} on ${describeSlot(otherSlot)}`);
+        }
+      }
+    }
+  });
+
+  return errors;
+};
+
+export const assertNoScheduleConflicts = async (options) => {
+  const errors = await findScheduleConflicts(options);
+  if (errors.length > 0) {
+    throw new ApiError(409, 'Schedule conflicts with other lessons', 'SCHEDULE_CONFLICT', errors);
+  }
+};
+
+// Weekly timetable of some groups: every day of the week with its lessons in time order
+export const weeklyTimetable = (groups) => {
+  const days = DAY_NAMES.map((name, index) => ({ dayOfWeek: index + 1, name, lessons: [] }));
+  for (const group of groups) {
+    for (const slot of group.schedule || []) {
+      days[slot.dayOfWeek - 1].lessons.push({
+        slotId: slot._id,
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        room: slot.room,
+        group: { _id: group._id, name: group.name, subject: group.subject, teacher: group.teacher, teacherName: group.teacherName }
+      });
+    }
+  }
+  days.forEach(day => day.lessons.sort((a, b) => a.startTime.localeCompare(b.startTime)));
+  return days;
+};
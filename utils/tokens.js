@@ -0,0 +1,145 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+
+// Settings are read lazily: dotenv is loaded after ES module imports are evaluated.
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlDays = () => parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const getParentTokenTtl = () => process.env.PARENT_TOKEN_TTL || '12h';
+
+// The development fallback is refused in production
+export const getJwtSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  return 'dev_secret';
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+export const signAccessToken = (user) => jwt.sign(
+  { id: user._id.toString(), username: user.username, role: user.role },
+  getJwtSecret(),
+  { expiresIn: getAccessTokenTtl(), jwtid: crypto.randomUUID() }
+);
+
+// Parent portal tokens are bound to one student and to the access code they were issued for
+export const signParentToken = (student) => jwt.sign(
+  { type: 'parent', role: 'parent', student: student._id.toString(), code: student.parentAccess.createdAt.getTime() },
+  getJwtSecret(),
+  { expiresIn: getParentTokenTtl() }
+);
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlDays() * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  return token;
+};
+
+const tokenResponse = (user, accessToken, refreshToken) => ({
+  token: accessToken,
+  refreshToken,
+  expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+  user
+});
+
+// Starts a new session (refresh token family) for a freshly authenticated user
+export const issueTokens = async (user, req) => {
+  const refreshToken = await createRefreshToken(user, crypto.randomUUID(), req);
+  return tokenResponse(user, signAccessToken(user), refreshToken);
+};
+
+// Exchanges a refresh token for a new pair. Presenting an already rotated token
+// means it was stolen or replayed, so the whole session is revoked.
+export const rotateRefreshToken = async (token, req) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token atomically so that two concurrent refreshes cannot both use it
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: Date.now() }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing?.revokedAt && existing.expiresAt >= new Date()) {
+      await revokeFamily(existing.family);
+      throw new TokenError('Refresh token reuse detected');
+    }
+    throw new TokenError('Invalid refresh token');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive || (user.tokensValidAfter && stored.createdAt < user.tokensValidAfter)) {
+    await revokeFamily(stored.family);
+    throw new TokenError('Session is no longer valid');
+  }
+
+  const refreshToken = await createRefreshToken(user, stored.family, req);
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedByHash: hashToken(refreshToken) });
+
+  return tokenResponse(user, signAccessToken(user), refreshToken);
+};
+
+export const revokeFamily = (family) =>
+  RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: Date.now() });
+
+// Ends the session a refresh token belongs to, if it is the caller's
+export const revokeRefreshToken = async (token, userId) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token), user: userId });
+  if (stored) await revokeFamily(stored.family);
+};
+
+// Puts a single access token on the revocation list until it expires
+export const revokeAccessToken = async (payload, reason) => {
+  if (!payload.jti) return;
+  await RevokedToken.updateOne(
+    { jti: payload.jti },
+    { $setOnInsert: { user: payload.id, reason, expiresAt: new Date(payload.exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Logs a user out everywhere: refresh tokens are revoked and every access token
+// issued before now is rejected by authMiddleware.
+export const revokeAllSessions = async (userId) => {
+  // Kept to the millisecond; see isAccessTokenRevoked for the comparison
+  const tokensValidAfter = new Date();
+  await Promise.all([
+    User.updateOne({ _id: userId }, { tokensValidAfter }),
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: Date.now() })
+  ]);
+};
+
+// Checks a verified access token against the revocation list and the user's state
+export const isAccessTokenRevoked = async (payload) => {
+  // Tokens issued before multi-user accounts carry no id and cannot be checked
+  if (!payload.id) return true;
+
+  const [revoked, user] = await Promise.all([
+    payload.jti ? RevokedToken.exists({ jti: payload.jti }) : null,
+    User.findById(payload.id).select('isActive tokensValidAfter').lean()
+  ]);
+
+  if (revoked || !user || !user.isActive) return true;
+  // iat is truncated to the second, so a token issued earlier in the same second as the
+  // revocation has iat * 1000 <= tokensValidAfter and is rejected along with older ones
+  return Boolean(user.tokensValidAfter && payload.iat * 1000 <= user.tokensValidAfter.getTime());
+};
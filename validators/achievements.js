@@ -0,0 +1,17 @@
+import { paginationQuery } from '../middleware/validate.js';
+
+export const achievementListQuery = {
+  ...paginationQuery,
+  published: { type: 'boolean' },
+  groupId: { type: 'objectId' }
+};
+
+export const achievementBody = {
+  studentName: { type: 'string', required: true, maxLength: 200 },
+  age: { type: 'integer', required: true, min: 5, max: 30 },
+  school: { type: 'string', maxLength: 200 },
+  title: { type: 'string', required: true, maxLength: 200 },
+  level: { type: 'string', required: true, maxLength: 50 },
+  student: { type: 'objectId' },
+  isPublished: { type: 'boolean' }
+};
@@ -0,0 +1,13 @@
+import { paginationQuery } from '../middleware/validate.js';
+import AuditLog from '../models/AuditLog.js';
+
+export const auditLogQuery = {
+  ...paginationQuery,
+  limit: { ...paginationQuery.limit, default: 20 },
+  entityType: { type: 'string' },
+  entityId: { type: 'objectId' },
+  userId: { type: 'objectId' },
+  action: { type: 'string', enum: AuditLog.schema.path('action').enumValues },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
@@ -0,0 +1,16 @@
+export const loginBody = {
+  username: { type: 'string', required: true, maxLength: 100 },
+  password: { type: 'string', required: true, maxLength: 200, trim: false }
+};
+
+export const refreshBody = {
+  refreshToken: { type: 'string', required: true }
+};
+
+export const logoutBody = {
+  refreshToken: { type: 'string' }
+};
+
+export const parentLoginBody = {
+  code: { type: 'string', required: true, maxLength: 50 }
+};
@@ -0,0 +1,72 @@
+import { paginationQuery } from '../middleware/validate.js';
+import { MONTH_PATTERN } from '../models/Fee.js';
+import { DISCOUNT_TYPES } from '../models/Discount.js';
+import { PAYMENT_METHODS } from '../models/Payment.js';
+
+const month = { type: 'string', pattern: MONTH_PATTERN }; // "YYYY-MM"
+
+// /api/fees
+export const feeListQuery = {
+  groupId: { type: 'objectId' }
+};
+
+export const feeBody = {
+  group: { type: 'objectId', required: true },
+  amount: { type: 'number', required: true, min: 0 },
+  effectiveFrom: { ...month, required: true },
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+// /api/discounts
+export const discountListQuery = {
+  studentId: { type: 'objectId' },
+  groupId: { type: 'objectId' }
+};
+
+export const discountBody = {
+  student: { type: 'objectId', required: true },
+  group: { type: 'objectId' }, // Leave out for all groups of the student
+  type: { type: 'string', required: true, enum: DISCOUNT_TYPES },
+  value: { type: 'number', required: true, min: 0 },
+  startMonth: { ...month, required: true },
+  endMonth: month,
+  reason: { type: 'string', maxLength: 500 }
+};
+
+// /api/payments
+export const paymentListQuery = {
+  ...paginationQuery,
+  studentId: { type: 'objectId' },
+  groupId: { type: 'objectId' },
+  month,
+  method: { type: 'string', enum: PAYMENT_METHODS },
+  from: { type: 'date' }, // Payment date
+  to: { type: 'date' }
+};
+
+export const paymentBody = {
+  student: { type: 'objectId', required: true },
+  group: { type: 'objectId', required: true },
+  month: { ...month, required: true },
+  amount: { type: 'number', required: true, min: 1 },
+  paidAt: { type: 'date' }, // Defaults to now
+  method: { type: 'string', required: true, enum: PAYMENT_METHODS },
+  receiptNumber: { type: 'string', maxLength: 50 },
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+// Balance of a student and revenue summary, both over a range of months
+export const monthRangeQuery = {
+  from: { ...month, required: true },
+  to: { ...month, required: true }
+};
+
+export const revenueQuery = {
+  ...monthRangeQuery,
+  groupId: { type: 'objectId' }
+};
+
+// Debtors of a group, counting every month up to and including `month`
+export const debtorsQuery = {
+  month: { ...month, required: true }
+};
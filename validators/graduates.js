@@ -0,0 +1,34 @@
+import { paginationQuery } from '../middleware/validate.js';
+import { EXPORT_FORMATS } from '../utils/spreadsheet.js';
+
+const ADMISSION_TYPES = ['grant', 'contract'];
+
+const graduateFilterQuery = {
+  published: { type: 'boolean' },
+  admissionType: { type: 'string', enum: ADMISSION_TYPES },
+  field: { type: 'string', maxLength: 100 }
+};
+
+export const graduateListQuery = {
+  ...paginationQuery,
+  ...graduateFilterQuery
+};
+
+export const graduateExportQuery = {
+  ...graduateFilterQuery,
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' }
+};
+
+export const graduateBody = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  admissionType: { type: 'string', required: true, enum: ADMISSION_TYPES },
+  field: { type: 'string', required: true, maxLength: 200 },
+  university: { type: 'string', required: true, maxLength: 200 },
+  admissionYear: { type: 'integer', required: true, min: 2000, max: new Date().getFullYear() + 5 },
+  previousGroup: { type: 'objectId' },
+  graduationYear: { type: 'integer', min: 2015, max: new Date().getFullYear() },
+  finalScore: { type: 'number', min: 0, max: 100 },
+  notes: { type: 'string', maxLength: 2000 },
+  isPublished: { type: 'boolean' }
+};
@@ -0,0 +1,43 @@
+export const groupListQuery = {
+  subjectId: { type: 'objectId' },
+  teacherId: { type: 'objectId' }
+};
+
+export const groupBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  teacherName: { type: 'string', maxLength: 100 },
+  teacher: { type: 'objectId' },
+  subject: { type: 'objectId', required: true },
+  description: { type: 'string', maxLength: 1000 }
+};
+
+// "HH:MM", 24-hour clock
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const scheduleSlot = {
+  type: 'object',
+  fields: {
+    dayOfWeek: { type: 'integer', required: true, min: 1, max: 7 }, // 1 = Monday
+    startTime: { type: 'string', required: true, pattern: TIME_PATTERN },
+    endTime: { type: 'string', required: true, pattern: TIME_PATTERN },
+    room: { type: 'string', maxLength: 50 }
+  }
+};
+
+// PUT /api/groups/:id/schedule replaces all slots of the group
+export const scheduleBody = {
+  slots: { type: 'array', required: true, maxLength: 50, items: scheduleSlot }
+};
+
+// /api/timetable
+export const teacherTimetableParams = {
+  teacherId: { type: 'objectId', required: true }
+};
+
+export const roomTimetableParams = {
+  room: { type: 'string', required: true, maxLength: 50 }
+};
+
+export const studentTimetableParams = {
+  studentId: { type: 'objectId', required: true }
+};
@@ -0,0 +1,52 @@
+import { paginationQuery } from '../middleware/validate.js';
+import { ATTENDANCE_STATUSES } from '../models/Lesson.js';
+
+// /api/groups/:groupId/lessons
+export const lessonGroupParams = {
+  groupId: { type: 'objectId', required: true }
+};
+
+export const lessonParams = {
+  ...lessonGroupParams,
+  lessonId: { type: 'objectId', required: true }
+};
+
+export const lessonListQuery = {
+  ...paginationQuery,
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+const attendanceMark = {
+  type: 'object',
+  fields: {
+    student: { type: 'objectId', required: true },
+    status: { type: 'string', required: true, enum: ATTENDANCE_STATUSES },
+    note: { type: 'string', maxLength: 500 }
+  }
+};
+
+// Marks for some students; defaultStatus marks every other enrolled student
+export const attendanceBody = {
+  marks: { type: 'array', default: [], items: attendanceMark },
+  defaultStatus: { type: 'string', enum: ATTENDANCE_STATUSES }
+};
+
+export const lessonBody = {
+  date: { type: 'date', required: true },
+  topic: { type: 'string', maxLength: 200 },
+  notes: { type: 'string', maxLength: 2000 },
+  ...attendanceBody
+};
+
+export const lessonUpdateBody = {
+  date: { type: 'date', required: true },
+  topic: { type: 'string', maxLength: 200 },
+  notes: { type: 'string', maxLength: 2000 }
+};
+
+// Attendance reports of a group or a student
+export const attendanceReportQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
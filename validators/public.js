@@ -0,0 +1,16 @@
+import { paginationQuery } from '../middleware/validate.js';
+
+export const publicGroupQuery = {
+  subjectId: { type: 'objectId' }
+};
+
+export const publicListQuery = {
+  ...paginationQuery,
+  groupId: { type: 'objectId' }
+};
+
+export const publicGraduateQuery = {
+  ...paginationQuery,
+  admissionType: { type: 'string', enum: ['grant', 'contract'] },
+  field: { type: 'string', maxLength: 100 }
+};
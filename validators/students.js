@@ -0,0 +1,67 @@
+import { paginationQuery } from '../middleware/validate.js';
+import { EXPORT_FORMATS } from '../utils/spreadsheet.js';
+
+export const studentListQuery = {
+  ...paginationQuery,
+  groupId: { type: 'objectId' }
+};
+
+export const studentExportQuery = {
+  groupId: { type: 'objectId' },
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' }
+};
+
+export const studentResultsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  published: { type: 'boolean' },
+  window: { type: 'integer', min: 1, max: 20, default: 3 } // Tests per moving average
+};
+
+// /api/students/:id/enrollments/:enrollmentId
+export const enrollmentParams = {
+  id: { type: 'objectId', required: true },
+  enrollmentId: { type: 'objectId', required: true }
+};
+
+export const enrollmentBody = {
+  group: { type: 'objectId', required: true },
+  startDate: { type: 'date' }, // Defaults to now
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+// Ending an enrollment
+export const enrollmentEndBody = {
+  status: { type: 'string', enum: ['completed', 'withdrawn'], default: 'completed' },
+  endDate: { type: 'date' }, // Defaults to now
+  notes: { type: 'string', maxLength: 1000 }
+};
+
+// Moving a student to another group
+// /api/students/:id/transfers/:transferId
+export const transferParams = {
+  id: { type: 'objectId', required: true },
+  transferId: { type: 'objectId', required: true }
+};
+
+export const transferBody = {
+  fromGroup: { type: 'objectId' }, // Defaults to the student's primary group
+  toGroup: { type: 'objectId', required: true },
+  date: { type: 'date' }, // Defaults to now
+  reason: { type: 'string', maxLength: 500 }
+};
+
+export const studentBody = {
+  firstName: { type: 'string', required: true, maxLength: 100 },
+  lastName: { type: 'string', required: true, maxLength: 100 },
+  school: { type: 'string', required: true, maxLength: 200 },
+  grade: { type: 'string', required: true, maxLength: 50 },
+  group: { type: 'objectId', required: true },
+  parentContact: { type: 'string', maxLength: 200 },
+  notes: { type: 'string', maxLength: 2000 }
+};
+
+export const studentUpdateBody = {
+  ...studentBody,
+  isActive: { type: 'boolean' }
+};
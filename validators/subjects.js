@@ -0,0 +1,27 @@
+// Percentage bands to grades; send null to remove a scale
+export const gradingScaleRule = {
+  type: 'object',
+  fields: {
+    passMark: { type: 'number', required: true, min: 0, max: 100 },
+    bands: {
+      type: 'array',
+      required: true,
+      minLength: 1,
+      maxLength: 20,
+      items: {
+        type: 'object',
+        fields: {
+          minPercentage: { type: 'number', required: true, min: 0, max: 100 },
+          grade: { type: 'string', required: true, maxLength: 20 }
+        }
+      }
+    }
+  }
+};
+
+export const subjectBody = {
+  name: { type: 'string', required: true, maxLength: 100 },
+  teacherName: { type: 'string', required: true, maxLength: 100 },
+  description: { type: 'string', maxLength: 1000 },
+  gradingScale: gradingScaleRule
+};
@@ -0,0 +1,130 @@
+import { paginationQuery } from '../middleware/validate.js';
+import { EXPORT_FORMATS } from '../utils/spreadsheet.js';
+import { gradingScaleRule } from './subjects.js';
+
+// Filters shared by the list and the export
+const testResultFilterQuery = {
+  groupId: { type: 'objectId' },
+  subjectId: { type: 'objectId' },
+  published: { type: 'boolean' },
+  teacherName: { type: 'string', maxLength: 100 },
+  search: { type: 'string', maxLength: 100 }, // Test name
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+export const testResultListQuery = {
+  ...paginationQuery,
+  ...testResultFilterQuery
+};
+
+// The matrix layout (students x tests) needs groupId
+export const testResultExportQuery = {
+  ...testResultFilterQuery,
+  format: { type: 'string', enum: EXPORT_FORMATS, default: 'csv' },
+  layout: { type: 'string', enum: ['long', 'matrix'], default: 'long' }
+};
+
+// Group and subject leaderboards
+export const leaderboardQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  published: { type: 'boolean' },
+  minTests: { type: 'integer', min: 1, default: 1 } // Leave out students who took fewer tests
+};
+
+// Statistics of one test
+export const testStatisticsQuery = {
+  passMark: { type: 'number', min: 0, max: 100 }, // Defaults to the grading scale's pass mark
+  bucketSize: { type: 'integer', min: 1, max: 50, default: 10 } // Histogram bucket width in percent
+};
+
+// Statistics of a group's or subject's tests over time
+export const statisticsOverTimeQuery = {
+  ...testStatisticsQuery,
+  from: { type: 'date' },
+  to: { type: 'date' },
+  published: { type: 'boolean' },
+  interval: { type: 'string', enum: ['week', 'month'], default: 'month' }
+};
+
+const sectionScores = {
+  type: 'array',
+  items: {
+    type: 'object',
+    fields: {
+      section: { type: 'string', required: true, maxLength: 100 },
+      score: { type: 'number', required: true, min: 0 }
+    }
+  }
+};
+
+// score is required unless the test has sections, in which case the
+// weighted total of sectionScores is used (checked in utils/resultIntegrity.js)
+export const testResultEntry = {
+  type: 'object',
+  fields: {
+    student: { type: 'objectId', required: true },
+    score: { type: 'number', min: 0 },
+    maxScore: { type: 'number', min: 1 },
+    notes: { type: 'string', maxLength: 1000 },
+    sectionScores
+  }
+};
+
+export const testSection = {
+  type: 'object',
+  fields: {
+    name: { type: 'string', required: true, maxLength: 100 },
+    maxScore: { type: 'number', required: true, min: 1 },
+    weight: { type: 'number', min: 0, default: 1 }
+  }
+};
+
+// /api/test-results/:id/results/:studentId
+export const resultEntryParams = {
+  id: { type: 'objectId', required: true },
+  studentId: { type: 'objectId', required: true }
+};
+
+export const resultEntryBody = {
+  score: { type: 'number', min: 0 }, // Required unless the test has sections
+  maxScore: { type: 'number', min: 1 }, // Defaults to the entry's current max score, or 100
+  notes: { type: 'string', maxLength: 1000 },
+  sectionScores
+};
+
+export const testResultBody = {
+  group: { type: 'objectId', required: true },
+  testName: { type: 'string', required: true, maxLength: 200 },
+  testDate: { type: 'date', required: true },
+  sections: { type: 'array', items: testSection },
+  gradingScale: gradingScaleRule, // Overrides the subject's scale
+  results: { type: 'array', required: true, items: testResultEntry },
+  description: { type: 'string', maxLength: 2000 },
+  isPublished: { type: 'boolean' }
+};
+
+// Multipart fields sent with an imported score sheet
+export const testResultImportBody = {
+  group: { type: 'objectId', required: true },
+  testResultId: { type: 'objectId' }, // Update this test instead of matching by name and date
+  testName: { type: 'string', maxLength: 200 },
+  testDate: { type: 'date' },
+  maxScore: { type: 'number', min: 1, default: 100 }, // Used for rows without their own max score column
+  description: { type: 'string', maxLength: 2000 },
+  isPublished: { type: 'boolean' },
+  preview: { type: 'boolean', default: false },
+  ignoreUnmatched: { type: 'boolean', default: false }, // Import matched rows and skip the rest
+  overrides: {
+    type: 'array',
+    default: [],
+    items: {
+      type: 'object',
+      fields: {
+        row: { type: 'integer', required: true, min: 2 },
+        student: { type: 'objectId', required: true }
+      }
+    }
+  }
+};
@@ -0,0 +1,31 @@
+import User from '../models/User.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+const USER_ROLES = User.schema.path('role').enumValues;
+// Passwords are kept exactly as typed, surrounding whitespace included
+const password = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 200, trim: false };
+
+export const userListQuery = {
+  role: { type: 'string', enum: USER_ROLES },
+  active: { type: 'boolean' }
+};
+
+export const userCreateBody = {
+  username: { type: 'string', required: true, pattern: /^[a-zA-Z0-9._-]{3,32}$/ },
+  password,
+  fullName: { type: 'string', maxLength: 100 },
+  role: { type: 'string', required: true, enum: USER_ROLES }
+};
+
+export const userUpdateBody = {
+  fullName: { type: 'string', maxLength: 100 },
+  role: { type: 'string', required: true, enum: USER_ROLES }
+};
+
+export const passwordResetBody = { password };
+
+export const passwordChangeBody = {
+  currentPassword: { type: 'string', required: true, trim: false },
+  newPassword: password
+};